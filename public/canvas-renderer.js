@@ -0,0 +1,228 @@
+// Canvas renderer for canvas items, picked with ?renderer=canvas.
+//
+// Instead of one absolutely positioned div per item, items are painted onto
+// a single <canvas> behind #world. Only items on screen are drawn. Each
+// item's text is rasterised once per zoom level (powers of two) and reused
+// while panning; far zoomed out, items below a readable size are drawn as
+// flat placeholder boxes instead. Fonts come from the same font-N classes the
+// DOM renderer uses, read back from the stylesheet.
+//
+// Same interface as the DOM renderer in script.js: add, remove, update,
+// highlight, invalidate, draw, plus hitTest for clicks.
+
+const MIN_TEXT_PX = 5; // Below this on-screen font size, draw placeholders
+const MAX_RASTERS = 3000; // Cached text rasters before the cache is dropped
+const HIGHLIGHT_MS = 3000;
+
+function createCanvasRenderer({ canvas, getView, itemStyle, fontCount }) {
+    const ctx = canvas.getContext('2d');
+    const items = new Map(); // id -> item
+    const rasters = new Map(); // id -> Map<zoomLevel, canvas>
+    let rasterCount = 0;
+    let highlighted = null; // { id, until }
+    let dirty = true;
+    let dpr = window.devicePixelRatio || 1;
+
+    // Read the font stacks back from the font-N classes in style.css
+    const fontFamilies = [];
+    const probe = document.createElement('span');
+    probe.style.position = 'absolute';
+    probe.style.visibility = 'hidden';
+    document.body.appendChild(probe);
+    for (let i = 0; i < fontCount; i++) {
+        probe.className = `font-${i}`;
+        fontFamilies.push(getComputedStyle(probe).fontFamily);
+    }
+    probe.remove();
+
+    function resize() {
+        dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.round(window.innerWidth * dpr);
+        canvas.height = Math.round(window.innerHeight * dpr);
+        canvas.style.width = `${window.innerWidth}px`;
+        canvas.style.height = `${window.innerHeight}px`;
+        dirty = true;
+    }
+    window.addEventListener('resize', resize);
+    resize();
+
+    // Raster resolution steps: the smallest power of two at or above the
+    // current device zoom, so text is never upscaled
+    function zoomLevel(scale) {
+        const level = Math.pow(2, Math.ceil(Math.log2(scale * dpr)));
+        return Math.min(8, Math.max(1 / 8, level));
+    }
+
+    function reactionSummary(item) {
+        if (!item.reactions) return '';
+        return Object.entries(item.reactions)
+            .filter(([, count]) => count > 0)
+            .map(([emoji, count]) => `${emoji}${count}`)
+            .join(' ');
+    }
+
+    function getRaster(item, level) {
+        let byLevel = rasters.get(item.id);
+        if (!byLevel) {
+            byLevel = new Map();
+            rasters.set(item.id, byLevel);
+        }
+        if (byLevel.has(level)) return byLevel.get(level);
+
+        if (rasterCount >= MAX_RASTERS) {
+            rasters.clear();
+            rasterCount = 0;
+            return getRaster(item, level);
+        }
+
+        const { fontIndex, color } = itemStyle(item);
+        const fontPx = item.fontSize * level;
+        const font = `${fontPx}px ${fontFamilies[fontIndex]}`;
+        const summary = reactionSummary(item);
+        const summaryFont = `${12 * level}px Arial, sans-serif`;
+
+        const measure = document.createElement('canvas').getContext('2d');
+        measure.font = font;
+        const textWidth = measure.measureText(item.text).width;
+        measure.font = summaryFont;
+        const summaryWidth = summary ? measure.measureText(summary).width + 6 * level : 0;
+
+        // Room for the 1px text shadow and glyph overhang
+        const pad = Math.ceil(fontPx * 0.2) + level;
+        const raster = document.createElement('canvas');
+        raster.width = Math.max(1, Math.ceil(textWidth + summaryWidth + pad * 2));
+        raster.height = Math.max(1, Math.ceil(fontPx * 1.3 + pad * 2));
+
+        const r = raster.getContext('2d');
+        r.textBaseline = 'middle';
+        r.font = font;
+        r.fillStyle = '#ccc';
+        r.fillText(item.text, pad + level, raster.height / 2 + level);
+        r.fillStyle = color;
+        r.fillText(item.text, pad, raster.height / 2);
+        if (summary) {
+            r.font = summaryFont;
+            r.fillStyle = '#000';
+            r.fillText(summary, pad + textWidth + 6 * level, raster.height / 2);
+        }
+
+        // Where the text itself sits inside the raster, for centring on x/y
+        raster.textCenterX = pad + textWidth / 2;
+        byLevel.set(level, raster);
+        rasterCount++;
+        return raster;
+    }
+
+    function dropRasters(id) {
+        const byLevel = rasters.get(id);
+        if (!byLevel) return;
+        rasterCount -= byLevel.size;
+        rasters.delete(id);
+    }
+
+    function itemSize(item) {
+        return {
+            w: item.width || item.text.length * item.fontSize * 0.6,
+            h: item.height || item.fontSize
+        };
+    }
+
+    function draw() {
+        if (highlighted && performance.now() > highlighted.until) {
+            highlighted = null;
+            dirty = true;
+        }
+        if (!dirty) return;
+        dirty = false;
+
+        const { panX, panY, scale } = getView();
+        const cw = canvas.width;
+        const ch = canvas.height;
+        // World origin on the canvas, in device pixels
+        const ox = (window.innerWidth / 2 + panX) * dpr;
+        const oy = (window.innerHeight / 2 + panY) * dpr;
+        const k = scale * dpr;
+        const level = zoomLevel(scale);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, cw, ch);
+
+        items.forEach(item => {
+            const sx = ox + item.x * k;
+            const sy = oy + item.y * k;
+            const { w, h } = itemSize(item);
+            const radius = Math.max(w, h) * k;
+            if (sx + radius < 0 || sx - radius > cw || sy + radius < 0 || sy - radius > ch) return;
+
+            ctx.setTransform(1, 0, 0, 1, sx, sy);
+            ctx.rotate(item.rotation * Math.PI / 180);
+
+            if (item.fontSize * scale < MIN_TEXT_PX) {
+                // Level of detail: a box where the text would be
+                ctx.globalAlpha = 0.5;
+                ctx.fillStyle = itemStyle(item).color;
+                ctx.fillRect(-w * k / 2, -h * k / 4, w * k, h * k / 2);
+                ctx.globalAlpha = 1;
+            } else {
+                const raster = getRaster(item, level);
+                const s = k / level;
+                ctx.drawImage(raster, -raster.textCenterX * s, -raster.height * s / 2, raster.width * s, raster.height * s);
+            }
+
+            if (highlighted && highlighted.id === item.id) {
+                ctx.setLineDash([6, 4]);
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = 'yellow';
+                ctx.strokeRect(-w * k / 2 - 6, -h * k / 2 - 6, w * k + 12, h * k + 12);
+                ctx.setLineDash([]);
+            }
+        });
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    // Topmost item under a screen point, or null
+    function hitTest(clientX, clientY) {
+        const { panX, panY, scale } = getView();
+        const wx = (clientX - window.innerWidth / 2 - panX) / scale;
+        const wy = (clientY - window.innerHeight / 2 - panY) / scale;
+
+        let hit = null;
+        items.forEach(item => {
+            // Into the item's own unrotated frame
+            const a = -item.rotation * Math.PI / 180;
+            const dx = wx - item.x;
+            const dy = wy - item.y;
+            const lx = dx * Math.cos(a) - dy * Math.sin(a);
+            const ly = dx * Math.sin(a) + dy * Math.cos(a);
+            const { w, h } = itemSize(item);
+            if (Math.abs(lx) <= w / 2 && Math.abs(ly) <= h / 2) hit = item;
+        });
+        return hit;
+    }
+
+    return {
+        add(item) {
+            items.set(item.id, item);
+            dirty = true;
+        },
+        remove(id) {
+            items.delete(id);
+            dropRasters(id);
+            dirty = true;
+        },
+        update(item) {
+            dropRasters(item.id);
+            dirty = true;
+        },
+        highlight(id) {
+            highlighted = { id, until: performance.now() + HIGHLIGHT_MS };
+            dirty = true;
+        },
+        invalidate() {
+            dirty = true;
+        },
+        draw,
+        hitTest
+    };
+}
@@ -0,0 +1,271 @@
+// Pan and zoom input for the canvas. Mouse, touch and pen all come in as
+// pointer events and share one set of tracked pointers:
+//
+//   one pointer     drag to pan; let go mid-swipe and the view coasts to a
+//                   stop. A press that barely moves is a tap.
+//   two pointers    pinch to zoom around their midpoint, which can pan too
+//   wheel           zoom around the mouse; ctrl-wheel, which is what
+//                   trackpad pinches send, zooms smoothly by the amount
+//   keyboard        arrows pan, + and - zoom around the middle of the screen
+//
+// The view is { panX, panY, scale }: the world origin sits at the middle of
+// the screen plus (panX, panY), and scale stays within minScale..maxScale.
+// onView() is called at most every viewInterval ms while the view moves and
+// once more when it comes to rest.
+
+const TAP_SLOP = 4; // px a press may move and still be a tap
+const WHEEL_STEP = 0.1; // Zoom per wheel notch
+const CTRL_WHEEL_RATE = 0.01; // Zoom per pixel of ctrl-wheel delta
+const KEY_PAN = 100; // px per arrow key press
+const KEY_ZOOM = 0.2;
+const VELOCITY_WINDOW = 100; // ms of movement used for the flick speed
+const MIN_FLICK_SPEED = 0.3; // px/ms below which a drag doesn't coast
+const FRICTION = 0.95; // Speed kept per 16ms of coasting
+const MIN_COAST_SPEED = 0.02; // px/ms where coasting stops
+const VIEW_INTERVAL = 200; // ms
+
+function createGestures({
+    element,
+    getView,
+    setView,
+    onView,
+    onTap,
+    onStart = () => {},
+    enabled = () => true,
+    minScale,
+    maxScale,
+    viewInterval = VIEW_INTERVAL
+}) {
+    const pointers = new Map(); // pointerId -> { x, y }
+    let drag = null; // { startX, startY, panX, panY, moved, samples } for one pointer
+    let pinch = null; // { distance, scale, worldX, worldY } for two
+    let coast = null; // Running momentum animation frame
+    let lastView = 0;
+    let viewTimer = null;
+
+    const clampScale = s => Math.min(maxScale, Math.max(minScale, s));
+
+    // Screen point -> world point for the current view
+    function toWorld(x, y) {
+        const { panX, panY, scale } = getView();
+        return {
+            x: (x - window.innerWidth / 2 - panX) / scale,
+            y: (y - window.innerHeight / 2 - panY) / scale
+        };
+    }
+
+    // A view where world point (wx, wy) is at screen point (x, y)
+    function anchored(wx, wy, x, y, scale) {
+        return {
+            panX: x - window.innerWidth / 2 - wx * scale,
+            panY: y - window.innerHeight / 2 - wy * scale,
+            scale
+        };
+    }
+
+    function moved() {
+        const now = performance.now();
+        clearTimeout(viewTimer);
+        if (now - lastView >= viewInterval) {
+            lastView = now;
+            onView();
+        } else {
+            viewTimer = setTimeout(settled, viewInterval - (now - lastView));
+        }
+    }
+
+    function settled() {
+        clearTimeout(viewTimer);
+        lastView = performance.now();
+        onView();
+    }
+
+    function stopCoasting() {
+        if (coast === null) return;
+        cancelAnimationFrame(coast);
+        coast = null;
+    }
+
+    function interrupt() {
+        stopCoasting();
+        onStart();
+    }
+
+    function zoomAt(x, y, factor) {
+        const { scale } = getView();
+        const next = clampScale(scale * factor);
+        if (next === scale) return;
+        const world = toWorld(x, y);
+        setView(anchored(world.x, world.y, x, y, next));
+        moved();
+    }
+
+    function panBy(dx, dy) {
+        const { panX, panY, scale } = getView();
+        setView({ panX: panX + dx, panY: panY + dy, scale });
+        moved();
+    }
+
+    function startDrag(x, y) {
+        const { panX, panY } = getView();
+        drag = { startX: x, startY: y, panX, panY, moved: false, samples: [{ x, y, t: performance.now() }] };
+    }
+
+    function startPinch() {
+        const [a, b] = Array.from(pointers.values());
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const world = toWorld(mid.x, mid.y);
+        pinch = {
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            scale: getView().scale,
+            worldX: world.x,
+            worldY: world.y
+        };
+    }
+
+    // Speed of the last VELOCITY_WINDOW ms of a drag, in px/ms
+    function flickVelocity(samples) {
+        const last = samples[samples.length - 1];
+        const first = samples.find(s => last.t - s.t <= VELOCITY_WINDOW) || last;
+        const dt = last.t - first.t;
+        if (dt <= 0 || performance.now() - last.t > VELOCITY_WINDOW) return null;
+        return { vx: (last.x - first.x) / dt, vy: (last.y - first.y) / dt };
+    }
+
+    function startCoasting({ vx, vy }) {
+        let lastFrame = performance.now();
+        const step = now => {
+            const dt = Math.min(now - lastFrame, 50);
+            lastFrame = now;
+            const keep = Math.pow(FRICTION, dt / 16);
+            vx *= keep;
+            vy *= keep;
+            if (Math.hypot(vx, vy) < MIN_COAST_SPEED) {
+                coast = null;
+                settled();
+                return;
+            }
+            panBy(vx * dt, vy * dt);
+            coast = requestAnimationFrame(step);
+        };
+        coast = requestAnimationFrame(step);
+    }
+
+    function onPointerDown(e) {
+        if (!enabled()) return;
+        // Only the main mouse button pans; form controls keep their clicks
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (e.target.closest('input, button, select, textarea, a')) return;
+
+        interrupt();
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pointers.size === 1) {
+            startDrag(e.clientX, e.clientY);
+        } else if (pointers.size === 2) {
+            drag = null;
+            startPinch();
+        }
+    }
+
+    function onPointerMove(e) {
+        const pointer = pointers.get(e.pointerId);
+        if (!pointer) return;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (pinch && pointers.size >= 2) {
+            const [a, b] = Array.from(pointers.values());
+            const distance = Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+            const scale = clampScale(pinch.scale * distance / pinch.distance);
+            setView(anchored(pinch.worldX, pinch.worldY, (a.x + b.x) / 2, (a.y + b.y) / 2, scale));
+            moved();
+        } else if (drag) {
+            const dx = e.clientX - drag.startX;
+            const dy = e.clientY - drag.startY;
+            if (Math.abs(dx) >= TAP_SLOP || Math.abs(dy) >= TAP_SLOP) drag.moved = true;
+            if (!drag.moved) return;
+
+            drag.samples.push({ x: e.clientX, y: e.clientY, t: performance.now() });
+            if (drag.samples.length > 20) drag.samples.shift();
+            setView({ panX: drag.panX + dx, panY: drag.panY + dy, scale: getView().scale });
+            moved();
+        }
+    }
+
+    function onPointerUp(e) {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+
+        if (pinch) {
+            // Down to one finger: carry on as a pan from where it is
+            if (pointers.size >= 2) startPinch();
+            else pinch = null;
+            if (pointers.size === 1) {
+                const [rest] = Array.from(pointers.values());
+                startDrag(rest.x, rest.y);
+                drag.moved = true;
+            }
+            if (!pointers.size) settled();
+            return;
+        }
+
+        if (!drag) return;
+        const { moved: wasDrag, samples } = drag;
+        drag = null;
+        if (!wasDrag) {
+            if (e.type === 'pointerup') onTap(e);
+            return;
+        }
+
+        const velocity = flickVelocity(samples);
+        if (e.type === 'pointerup' && velocity && Math.hypot(velocity.vx, velocity.vy) >= MIN_FLICK_SPEED) {
+            startCoasting(velocity);
+        } else {
+            settled();
+        }
+    }
+
+    function onWheel(e) {
+        if (!enabled()) return;
+        e.preventDefault();
+        interrupt();
+        const factor = e.ctrlKey
+            ? Math.exp(-e.deltaY * CTRL_WHEEL_RATE)
+            : 1 - Math.sign(e.deltaY) * WHEEL_STEP;
+        zoomAt(e.clientX, e.clientY, factor);
+    }
+
+    function onKeyDown(e) {
+        if (!enabled() || e.ctrlKey || e.metaKey || e.altKey) return;
+        // Typing in a box isn't navigation
+        if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+        const middleX = window.innerWidth / 2;
+        const middleY = window.innerHeight / 2;
+        let handled = true;
+        switch (e.key) {
+            case 'ArrowLeft': interrupt(); panBy(KEY_PAN, 0); break;
+            case 'ArrowRight': interrupt(); panBy(-KEY_PAN, 0); break;
+            case 'ArrowUp': interrupt(); panBy(0, KEY_PAN); break;
+            case 'ArrowDown': interrupt(); panBy(0, -KEY_PAN); break;
+            case '+':
+            case '=': interrupt(); zoomAt(middleX, middleY, 1 + KEY_ZOOM); break;
+            case '-':
+            case '_': interrupt(); zoomAt(middleX, middleY, 1 / (1 + KEY_ZOOM)); break;
+            default: handled = false;
+        }
+        if (handled) e.preventDefault();
+    }
+
+    element.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+    element.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('keydown', onKeyDown);
+
+    return {
+        // Stop coasting, e.g. when the view is about to be flown elsewhere
+        stop: stopCoasting
+    };
+}
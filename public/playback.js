@@ -0,0 +1,169 @@
+// Timelapse playback of how the canvas grew.
+//
+// Items come from <apiBase>/history oldest first, a chunk at a time, and more are
+// fetched while fewer than PREFETCH_ITEMS are loaded past the playhead, so
+// even a huge canvas starts playing straight away. Everything up to the
+// playhead is on the canvas; moving the playhead forward shows items in the
+// order they were placed, moving it back takes them off again. Only items
+// near the view are handed to `show`; refresh() fills in the rest after a pan.
+//
+// `speed` is canvas time per second of playback, in ms; 0 plays the whole
+// history in AUTO_SECONDS.
+
+const HISTORY_CHUNK = 1000;
+const PREFETCH_ITEMS = 1000;
+const AUTO_SECONDS = 60;
+
+function createPlayback({ apiBase = '/api', show, hide, near, onUpdate }) {
+    let active = false;
+    let items = []; // Loaded so far, oldest first
+    let shown = 0; // items[0..shown) are at or before the playhead
+    let cursor = null; // Where the next chunk starts
+    let complete = false; // Every chunk is loaded
+    let loading = null; // Pending chunk request
+    let session = 0; // Bumped on stop, so late chunks are dropped
+    let start = 0;
+    let end = 0;
+    let time = 0;
+    let playing = false;
+    let speed = 0;
+    let frame = null;
+    let lastFrame = 0;
+
+    const timeOf = item => item.timestamp || 0;
+    const loadedUntil = () => (items.length ? timeOf(items[items.length - 1]) : start);
+
+    function update() {
+        onUpdate({ active, playing, loading: !!loading, time, start, end, count: shown });
+    }
+
+    // Resolves to false if the request failed
+    function loadChunk() {
+        if (loading || complete) return loading;
+        const current = session;
+        const params = new URLSearchParams({ limit: HISTORY_CHUNK });
+        if (cursor) params.set('after', cursor);
+
+        loading = fetch(`${apiBase}/history?${params}`)
+            .then(res => res.json())
+            .then(data => {
+                if (current !== session) return;
+                if (!items.length) time = start = data.start || 0;
+                end = Math.max(end, data.end || 0);
+                for (const item of data.items) items.push(item);
+                cursor = data.next;
+                complete = !data.next;
+                return true;
+            })
+            .catch(err => {
+                console.error('Failed to fetch history', err);
+                return false;
+            })
+            .finally(() => {
+                if (current !== session) return;
+                loading = null;
+                update();
+            });
+        update();
+        return loading;
+    }
+
+    function prefetch() {
+        if (items.length - shown < PREFETCH_ITEMS) loadChunk();
+    }
+
+    // Bring the canvas in line with the playhead
+    function apply(animate) {
+        while (shown < items.length && timeOf(items[shown]) <= time) {
+            const item = items[shown++];
+            if (near(item)) show(item, animate);
+        }
+        while (shown > 0 && timeOf(items[shown - 1]) > time) {
+            hide(items[--shown].id);
+        }
+        prefetch();
+        update();
+    }
+
+    function tick(now) {
+        if (!playing) return;
+        const elapsed = Math.min(now - lastFrame, 250) / 1000;
+        lastFrame = now;
+
+        const rate = speed || Math.max(end - start, 1) / AUTO_SECONDS;
+        // Wait at the edge of what is loaded rather than run past it
+        const limit = complete ? end : loadedUntil();
+        time = Math.min(time + elapsed * rate, limit);
+        apply(true);
+
+        if (complete && time >= end) {
+            playing = false;
+            update();
+            return;
+        }
+        frame = requestAnimationFrame(tick);
+    }
+
+    return {
+        get active() {
+            return active;
+        },
+        async start() {
+            active = true;
+            await loadChunk();
+            apply(false);
+        },
+        stop() {
+            this.pause();
+            session++;
+            active = false;
+            items = [];
+            shown = 0;
+            cursor = null;
+            complete = false;
+            loading = null;
+            start = end = time = 0;
+            update();
+        },
+        play() {
+            if (!active || playing) return;
+            if (complete && time >= end) this.seek(start);
+            playing = true;
+            lastFrame = performance.now();
+            frame = requestAnimationFrame(tick);
+            update();
+        },
+        pause() {
+            playing = false;
+            cancelAnimationFrame(frame);
+            update();
+        },
+        setSpeed(msPerSecond) {
+            speed = msPerSecond;
+        },
+        // Jump to a moment, loading chunks up to it first if needed
+        async seek(target) {
+            time = Math.max(start, Math.min(end, target));
+            const current = session;
+            while (!complete && loadedUntil() < time) {
+                const ok = await loadChunk();
+                if (current !== session) return;
+                if (!ok) break;
+            }
+            apply(false);
+        },
+        // Show items at or before the playhead that have come into view
+        refresh() {
+            for (let i = 0; i < shown; i++) {
+                if (near(items[i])) show(items[i], false);
+            }
+        },
+        // An item was deleted or hidden while playing back
+        remove(id) {
+            const index = items.findIndex(item => item.id === id);
+            if (index === -1) return;
+            items.splice(index, 1);
+            if (index < shown) shown--;
+        }
+    };
+}
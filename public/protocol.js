@@ -0,0 +1,258 @@
+// WebSocket protocol shared by server.js (require) and the browser
+// (window.Protocol).
+//
+// Every message is a JSON object with a `type`. On connect the server sends
+// `init` with its PROTOCOL_VERSION and the client answers with `hello` and
+// its own; a client on a version the server no longer speaks gets an
+// `unsupported_protocol` error and is disconnected. Anything else sent
+// before a successful hello is refused with `hello_required`. The room is
+// picked with ?room=<name> on the WebSocket URL; a name that is invalid or
+// cannot be opened gets an `unknown_room` error and the connection is closed.
+//
+// Every change to a room's items has a `seq`, and items carry the seq that
+// added them. A client coming back after a dropped connection puts the last
+// seq it knows of in `hello` as `since` and gets what it missed in
+// `catch_up`, as the new_item, remove_item and reaction messages it would
+// have heard. Submits can carry
+// an idempotency `key`, echoed in the reply; resending a submit with the same
+// key returns the item it already created instead of a duplicate.
+//
+// CLIENT_MESSAGES and SERVER_MESSAGES list the fields of each message type.
+// A field is one of:
+//
+//   'string' 'number' 'positive' 'integer' 'boolean' 'object' 'array'
+//   { ...fields }          a nested object
+//   between(min, max)      a number in that range
+//   optional(...)          may be absent or null (strings can end in '?')
+//
+// Numbers must be finite. validate() returns a copy holding only the listed
+// fields, so nothing a client adds on its own gets stored or passed on.
+//
+// When the server refuses a message it answers with
+//
+//   { type: 'error', code, error, ref }
+//
+// where `code` is one of ERROR_CODES, `error` is readable text and `ref` the
+// type of the message being refused, when known. Refusals that belong to a
+// feature (submit_error, react_error, profile_error) keep their own types.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Protocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 2: roster and overview come as deltas after the first full one
+    const PROTOCOL_VERSION = 2;
+    const SUPPORTED_VERSIONS = [2];
+
+    const ERROR_CODES = {
+        BAD_JSON: 'bad_json',
+        UNKNOWN_TYPE: 'unknown_type',
+        INVALID_MESSAGE: 'invalid_message',
+        UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+        HELLO_REQUIRED: 'hello_required',
+        UNKNOWN_ROOM: 'unknown_room'
+    };
+
+    function optional(spec) {
+        return { optional: true, spec };
+    }
+
+    function between(min, max) {
+        return { between: [min, max] };
+    }
+
+    // Limits on viewports, generous for any real screen: world units across
+    // at the furthest zoom-out of a very large display, and zoom levels
+    const MIN_VIEWPORT_SIZE = 0.01;
+    const MAX_VIEWPORT_SIZE = 200000;
+    const MIN_VIEWPORT_SCALE = 0.01;
+    const MAX_VIEWPORT_SCALE = 100;
+
+    // Client -> server
+    const CLIENT_MESSAGES = {
+        // Answer to init, with the client's PROTOCOL_VERSION, and on a
+        // reconnect the last item seq it knows of
+        hello: { protocol: 'integer', since: 'integer?' },
+        // The world rect on screen (center x/y); scopes presence and new items
+        viewport: {
+            viewport: {
+                x: 'number',
+                y: 'number',
+                w: between(MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE),
+                h: between(MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE),
+                scale: between(MIN_VIEWPORT_SCALE, MAX_VIEWPORT_SCALE)
+            }
+        },
+        // Mouse position in world coordinates
+        cursor: { x: 'number', y: 'number' },
+        // Nickname and #rrggbb color; an empty name is anonymous
+        profile: { name: 'string?', color: 'string?' },
+        // Ask where another user is looking; answered with user_location
+        locate: { id: 'string' },
+        // Toggle a reaction on an item
+        react: { id: 'string', emoji: 'string' },
+        // New text, placed randomly, next to the item in reply_to, or at a
+        // picked spot
+        submit: {
+            text: 'string',
+            reply_to: 'string?',
+            key: 'string?',
+            at: optional({ x: 'number', y: 'number', rotation: 'number', fontSize: 'number' })
+        }
+    };
+
+    // Server -> client
+    const SERVER_MESSAGES = {
+        // First message on a connection: the client's presence id, the
+        // latest item seq, and the room with its settings for clients
+        // ({ maxTextLength, submitBurst }; submitBurst is how many submits
+        // the rate limit lets through at once)
+        init: { id: 'string', protocol: 'integer', seq: 'integer', room: 'string', settings: 'object' },
+        // Changes since hello's `since`, as new_item, remove_item and
+        // reaction messages; if there were too many, or they go back further
+        // than the server remembers, complete is false and the client should
+        // reload what it shows
+        catch_up: { messages: 'array', seq: 'integer', complete: 'boolean' },
+        // A message was refused, see ERROR_CODES
+        error: { code: 'string', error: 'string', ref: 'string?' },
+        online_count: { count: 'integer' },
+        // Viewport deltas for users near this client's view
+        presence: { joined: 'array', moved: 'array', left: 'array' },
+        // Coarse viewports for the minimap: everyone's when `full`, otherwise
+        // the ones that changed, and the ids of users who left
+        overview: { users: 'array', left: 'array', full: 'boolean' },
+        // Everyone connected: { id, name, color }, once after connecting
+        roster: { users: 'array' },
+        // Changes to the roster since: users who joined, changed their
+        // profile, or left (ids)
+        roster_update: { joined: 'array', changed: 'array', left: 'array' },
+        user_location: { id: 'string', x: 'number', y: 'number', w: 'number', h: 'number', scale: 'number' },
+        profile_error: { error: 'string' },
+        // Items appearing or going away in this client's region. `seq` is
+        // that of the change, when it isn't the item's own (restores, hides,
+        // deletes and reactions); catch_up leaves it out
+        new_item: { item: 'object', seq: 'integer?' },
+        remove_item: { id: 'string', seq: 'integer?' },
+        reaction: { id: 'string', reactions: 'object', seq: 'integer?' },
+        react_error: { id: 'string?', error: 'string' },
+        // Popup and ground shape lines, { text, weight } each; sent on
+        // connect and again whenever they change
+        content: { popup: 'array', shape: 'array' },
+        submit_success: { item: 'object', key: 'string?' },
+        submit_error: { error: 'string', rule: 'string?', key: 'string?' }
+    };
+
+    const TYPE_NAMES = {
+        string: 'a string',
+        number: 'a number',
+        positive: 'a positive number',
+        integer: 'an integer',
+        boolean: 'true or false',
+        object: 'an object',
+        array: 'an array'
+    };
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isType(type, value) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'positive': return typeof value === 'number' && Number.isFinite(value) && value > 0;
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'object': return isObject(value);
+            case 'array': return Array.isArray(value);
+        }
+        return false;
+    }
+
+    // { value } with only the known fields, or { error } naming the first
+    // field that is wrong
+    function check(spec, value, path) {
+        let isOptional = false;
+        if (isObject(spec) && spec.optional) {
+            isOptional = true;
+            spec = spec.spec;
+        } else if (typeof spec === 'string' && spec.endsWith('?')) {
+            isOptional = true;
+            spec = spec.slice(0, -1);
+        }
+
+        if (value === undefined || value === null) {
+            return isOptional ? { value: undefined } : { error: `${path} is required` };
+        }
+
+        if (typeof spec === 'string') {
+            return isType(spec, value) ? { value } : { error: `${path} must be ${TYPE_NAMES[spec]}` };
+        }
+        if (Array.isArray(spec.between)) {
+            const [min, max] = spec.between;
+            const ok = isType('number', value) && value >= min && value <= max;
+            return ok ? { value } : { error: `${path} must be a number from ${min} to ${max}` };
+        }
+
+        if (!isObject(value)) return { error: `${path} must be an object` };
+        const out = {};
+        for (const [key, fieldSpec] of Object.entries(spec)) {
+            const result = check(fieldSpec, value[key], path ? `${path}.${key}` : key);
+            if (result.error) return result;
+            if (result.value !== undefined) out[key] = result.value;
+        }
+        return { value: out };
+    }
+
+    // Returns { message } or { error: { code, error, ref } }
+    function validate(catalog, data) {
+        if (!isObject(data) || typeof data.type !== 'string') {
+            return { error: { code: ERROR_CODES.INVALID_MESSAGE, error: 'Message must be an object with a type', ref: null } };
+        }
+        const { type } = data;
+        if (!Object.prototype.hasOwnProperty.call(catalog, type)) {
+            return { error: { code: ERROR_CODES.UNKNOWN_TYPE, error: `Unknown message type: ${type}`, ref: type } };
+        }
+
+        const result = check(catalog[type], data, '');
+        if (result.error) {
+            return { error: { code: ERROR_CODES.INVALID_MESSAGE, error: result.error, ref: type } };
+        }
+        return { message: { type, ...result.value } };
+    }
+
+    // Parse and validate raw text from a client
+    function parseClientMessage(raw) {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (err) {
+            return { error: { code: ERROR_CODES.BAD_JSON, error: 'Message is not valid JSON', ref: null } };
+        }
+        return validate(CLIENT_MESSAGES, data);
+    }
+
+    function validateServerMessage(data) {
+        return validate(SERVER_MESSAGES, data);
+    }
+
+    function errorMessage({ code, error, ref }) {
+        return { type: 'error', code, error, ref: ref || null };
+    }
+
+    function isSupported(version) {
+        return SUPPORTED_VERSIONS.includes(version);
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        SUPPORTED_VERSIONS,
+        ERROR_CODES,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        parseClientMessage,
+        validateServerMessage,
+        errorMessage,
+        isSupported
+    };
+});
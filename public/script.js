@@ -1,101 +1,277 @@
 const viewport = document.getElementById('viewport');
 const world = document.getElementById('world');
 const itemsContainer = document.getElementById('items-container');
+const itemCanvas = document.getElementById('item-canvas');
 const usersContainer = document.getElementById('users-container');
 const overlayLines = document.getElementById('overlay-lines');
 const userInput = document.getElementById('user-input');
 const submitBtn = document.getElementById('submit-btn');
+const placeBtn = document.getElementById('place-btn');
 const statusMsg = document.getElementById('status-msg');
+const replyBar = document.getElementById('reply-bar');
+const replyText = document.getElementById('reply-text');
+const replyCancel = document.getElementById('reply-cancel');
+const threadLines = document.getElementById('thread-lines');
 const popupsLayer = document.getElementById('popups-layer');
 const onlineCountEl = document.getElementById('online-count');
+const nicknameInput = document.getElementById('nickname-input');
+const colorInput = document.getElementById('color-input');
+const whoList = document.getElementById('who-list');
+const searchInput = document.getElementById('search-input');
+const searchResults = document.getElementById('search-results');
+const searchPager = document.getElementById('search-pager');
+const searchPageEl = document.getElementById('search-page');
+const searchPrev = document.getElementById('search-prev');
+const searchNext = document.getElementById('search-next');
+const minimap = document.getElementById('minimap');
+const minimapCtx = minimap.getContext('2d');
+const timelapseBtn = document.getElementById('timelapse-btn');
+const playbackControls = document.getElementById('playback-controls');
+const playBtn = document.getElementById('play-btn');
+const playbackSlider = document.getElementById('playback-slider');
+const playbackSpeed = document.getElementById('playback-speed');
+const playbackTime = document.getElementById('playback-time');
 
 // State
 let scale = 1;
 let panX = 0;
 let panY = 0;
-let isDragging = false;
-let startX, startY;
-let lastPanX, lastPanY;
-let canvasItems = [];
-let jokeLines = [];
+let gestures = null; // Pan and zoom input, see createGestures
+let canvasItems = new Map(); // id -> item, only items near the view
+let itemElements = new Map(); // id -> el, DOM renderer only
+let renderer = null; // See createDomRenderer / createCanvasRenderer
+let itemPopover = null; // { id, el } action bar for an item, canvas renderer only
+let myReactions = new Set(); // "id emoji" this client has added
+let loadedRegion = null; // World rect the loaded items were fetched for
+let regionTimer = null;
+let contentLines = { popup: [], shape: [] }; // { text, weight } from the server
 let targetItem = null; // The item to point to with the yellow line
 let ws = null;
 let isConnected = false;
-let otherUsers = new Map(); // id -> {x, y, w, h, scale, el}
+let protocolRejected = false; // Wrong protocol version or no such room, stop reconnecting
+let reconnectAttempts = 0; // Failed connection attempts in a row
+let lastSeq = null; // Newest item seq we know about, for catch-up after a reconnect
+let pendingSubmits = new Map(); // idempotency key -> submit message awaiting a reply
+let maxPendingSubmits = MAX_PENDING_SUBMITS;
+let otherUsers = new Map(); // id -> {x, y, w, h, scale, el, cursorEl}
 let myId = null;
+let lastCursorSent = 0;
+let cursorTimer = null;
+let hashTimer = null;
+let searchTimer = null;
+let searchPage = 0;
+let flight = null; // Running fly-to animation frame
+let density = null; // Latest /api/density grid
+const overviewUsers = new Map(); // id -> every user's viewport, coarse, from 'overview'
+const rosterUsers = new Map(); // id -> { id, name, color } of everyone connected
+let minimapBounds = null; // World rect the minimap currently shows
+let minimapDragging = false;
+let replaceNextHash = false; // The view came from the URL, don't add a history entry for it
+let playback = null; // Timelapse, see createPlayback
+let replyTarget = null; // Item the next submit replies to
+let placing = null; // { text, rotation, fontSize, el } while picking a spot for the text
+let threadLineEls = new Map(); // reply id -> connector line to its parent
+let repliesByParent = new Map(); // parent id -> Set of loaded reply ids
+let playbackSeeking = false; // The slider is being dragged
 
 // Constants
 const MIN_SCALE = 0.1;
+const MIN_FONT_SIZE = 24;
+const MAX_FONT_SIZE = 64;
+const MAX_ROTATION = 70;
 const MAX_SCALE = 5;
 const COLORS = ['#ff0000', '#008000', '#0000ff', '#800080', '#008080', '#000000', '#ff4500', '#8b4513'];
+const REACTIONS = ['👍', '👎', '😂', '❤️', '😮'];
+const FONT_COUNT = 12; // font-0 .. font-11 in style.css
+// ?renderer=canvas draws items on a <canvas>; the default is a div per item
+// Named canvases live at /c/<name>, with their API under /api/c/<name>
+const ROOM = (/^\/c\/([a-z0-9-]+)\/?$/.exec(window.location.pathname) || [])[1] || null;
+const API = ROOM ? `/api/c/${ROOM}` : '/api';
+const RENDERER = new URLSearchParams(window.location.search).get('renderer') === 'canvas' ? 'canvas' : 'dom';
+const CURSOR_INTERVAL = 100; // ms between cursor updates
+const PROFILE_KEY = 'void-profile';
+// Reconnect delays double from RECONNECT_BASE up to RECONNECT_MAX, with jitter
+const RECONNECT_BASE = 1000;
+const RECONNECT_MAX = 30000;
+// At most, and the default submit burst; the server may allow fewer at once
+// (init's settings.submitBurst)
+const MAX_PENDING_SUBMITS = 3;
+const SEARCH_PAGE_SIZE = 10;
+const FLY_DURATION = 800; // ms
+const DENSITY_INTERVAL = 15000; // ms between density refreshes
+const HASH_DELAY = 400; // ms the view must settle before it becomes a history entry
+// Load items this many viewport sizes past each edge (matches REGION_PADDING
+// on the server), and drop them again once they are further out: the server
+// stops sending hides and reactions for them then
+const LOAD_PADDING = 1;
 
 // Initialization
 async function init() {
-    await fetchData();
+    renderer = RENDERER === 'canvas'
+        ? createCanvasRenderer({
+            canvas: itemCanvas,
+            getView: () => ({ panX, panY, scale }),
+            itemStyle,
+            fontCount: FONT_COUNT
+        })
+        : createDomRenderer();
+    if (RENDERER !== 'canvas') itemCanvas.remove();
+    playback = createPlayback({
+        apiBase: API,
+        show: (item, animate) => {
+            addItem(item);
+            const el = itemElements.get(item.id);
+            if (animate && el) el.classList.add('popping');
+        },
+        hide: removeItem,
+        near: item => regionContains(getViewRegion(LOAD_PADDING), item.x, item.y),
+        onUpdate: renderPlayback
+    });
     setupWebSocket();
     setupEventListeners();
-    renderItems();
+    await applyHash();
+    await loadRegion();
     startStupidLoop();
+    fetchDensity();
+    setInterval(fetchDensity, DENSITY_INTERVAL);
     requestAnimationFrame(gameLoop);
 }
 
-async function fetchData() {
-    try {
-        const res = await fetch('/api/data');
-        const data = await res.json();
-        canvasItems = data.canvas;
-        jokeLines = data.jokes;
-        renderItems();
-    } catch (err) {
-        console.error('Failed to fetch data', err);
-    }
-}
-
 function setupWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    ws = new WebSocket(`${protocol}//${window.location.host}`);
+    const query = ROOM ? `?room=${encodeURIComponent(ROOM)}` : '';
+    ws = new WebSocket(`${protocol}//${window.location.host}/${query}`);
 
     ws.onopen = () => {
-        isConnected = true;
+        reconnectAttempts = 0;
         statusMsg.textContent = 'CONNECTED';
         setTimeout(() => { statusMsg.textContent = ''; }, 2000);
-        sendViewportUpdate();
     };
 
     ws.onclose = () => {
         isConnected = false;
+        if (protocolRejected) return;
         statusMsg.textContent = 'DISCONNECTED - RECONNECTING...';
+        // The server starts presence from scratch on the next connection
+        clearOtherUsers();
         onlineCountEl.textContent = 'Online: 0';
-        setTimeout(setupWebSocket, 3000);
+        // Anywhere between half and all of the backoff, so a server restart
+        // isn't met by every client at once
+        const backoff = Math.min(RECONNECT_MAX, RECONNECT_BASE * Math.pow(2, reconnectAttempts));
+        reconnectAttempts++;
+        setTimeout(setupWebSocket, backoff / 2 + Math.random() * backoff / 2);
     };
 
     ws.onmessage = (event) => {
         try {
-            const data = JSON.parse(event.data);
+            const { message: data, error } = Protocol.validateServerMessage(JSON.parse(event.data));
+            if (error) {
+                console.warn('Ignoring server message:', error.error);
+                return;
+            }
 
             switch (data.type) {
                 case 'init':
                     myId = data.id;
+                    userInput.maxLength = data.settings.maxTextLength || userInput.maxLength;
+                    // All pending submits are resent at once below
+                    maxPendingSubmits = Math.min(MAX_PENDING_SUBMITS, data.settings.submitBurst || MAX_PENDING_SUBMITS);
+                    if (data.protocol !== Protocol.PROTOCOL_VERSION) {
+                        console.warn(`Server speaks protocol ${data.protocol}, this page ${Protocol.PROTOCOL_VERSION}`);
+                    }
+                    // On a reconnect, ask for what was added while we were away
+                    if (lastSeq === null) {
+                        lastSeq = data.seq;
+                        send({ type: 'hello', protocol: Protocol.PROTOCOL_VERSION });
+                    } else {
+                        send({ type: 'hello', protocol: Protocol.PROTOCOL_VERSION, since: lastSeq });
+                    }
+                    // Everything else waits for the hello
+                    isConnected = true;
+                    sendViewportUpdate();
+                    sendProfile();
+                    // Submits that never got an answer; their keys stop duplicates
+                    pendingSubmits.forEach(message => send(message));
+                    break;
+                case 'catch_up':
+                    applyCatchUp(data);
+                    break;
+                case 'error':
+                    if (data.code === Protocol.ERROR_CODES.UNSUPPORTED_PROTOCOL) {
+                        protocolRejected = true;
+                        statusMsg.textContent = 'THE VOID HAS BEEN UPDATED - PLEASE RELOAD';
+                    } else if (data.code === Protocol.ERROR_CODES.UNKNOWN_ROOM) {
+                        protocolRejected = true;
+                        statusMsg.textContent = 'THIS VOID DOES NOT EXIST';
+                    } else {
+                        console.warn(`Server refused ${data.ref || 'a message'}: ${data.error}`);
+                    }
+                    break;
+                case 'content':
+                    contentLines = { popup: data.popup, shape: data.shape };
                     break;
                 case 'online_count':
                     onlineCountEl.textContent = `Online: ${data.count}`;
                     break;
-                case 'viewports':
-                    updateOtherUsers(data.viewports);
+                case 'presence':
+                    applyPresence(data);
+                    break;
+                case 'overview':
+                    if (data.full) overviewUsers.clear();
+                    data.left.forEach(id => overviewUsers.delete(id));
+                    data.users.forEach(u => overviewUsers.set(u.id, u));
+                    break;
+                case 'roster':
+                    rosterUsers.clear();
+                    data.users.forEach(user => rosterUsers.set(user.id, user));
+                    renderRoster();
+                    break;
+                case 'roster_update':
+                    data.left.forEach(id => rosterUsers.delete(id));
+                    data.joined.concat(data.changed).forEach(user => rosterUsers.set(user.id, user));
+                    renderRoster();
+                    break;
+                case 'user_location':
+                    jumpTo(data.x, data.y);
+                    break;
+                case 'profile_error':
+                    statusMsg.textContent = data.error || 'ERROR';
+                    setTimeout(() => { statusMsg.textContent = ''; }, 3000);
                     break;
                 case 'new_item':
-                    canvasItems.push(data.item);
-                    renderNewItem(data.item);
+                    noteSeq(data.item);
+                    noteSeq(data);
+                    // Live items turn up again when playback ends
+                    if (!playback.active) addItem(data.item);
                     break;
                 case 'submit_success':
-                    statusMsg.textContent = 'SENT!';
-                    userInput.value = '';
-                    canvasItems.push(data.item);
-                    renderNewItem(data.item);
-                    targetItem = data.item;
+                    noteSeq(data.item);
+                    pendingSubmits.delete(data.key);
+                    statusMsg.textContent = pendingSubmits.size ? `SENT! ${pendingSubmits.size} MORE WAITING` : 'SENT!';
+                    if (userInput.value.trim() === data.item.text) userInput.value = '';
+                    if (data.item.replyTo) {
+                        setReplyTarget(null);
+                        if (!playback.active) flyToItem(data.item);
+                    } else if (!playback.active) {
+                        addItem(data.item);
+                        targetItem = data.item;
+                    }
+                    setTimeout(() => { statusMsg.textContent = ''; }, 3000);
+                    break;
+                case 'remove_item':
+                    noteSeq(data);
+                    itemGone(data.id);
+                    break;
+                case 'reaction':
+                    noteSeq(data);
+                    updateReactions(data.id, data.reactions);
+                    break;
+                case 'react_error':
+                    statusMsg.textContent = data.error || 'ERROR';
                     setTimeout(() => { statusMsg.textContent = ''; }, 3000);
                     break;
                 case 'submit_error':
+                    pendingSubmits.delete(data.key);
                     statusMsg.textContent = data.error || 'ERROR';
                     setTimeout(() => { statusMsg.textContent = ''; }, 3000);
                     break;
@@ -106,7 +282,14 @@ function setupWebSocket() {
     };
 }
 
+function send(data) {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(data));
+}
+
 function sendViewportUpdate() {
+    // The server only tells us about items near the current view, so what
+    // was loaded further out stops being kept up to date
+    narrowLoadedRegion();
     if (!isConnected) return;
 
     // Calculate visible area in world coordinates
@@ -123,20 +306,111 @@ function sendViewportUpdate() {
     const x = -panX / scale; // Center X
     const y = -panY / scale; // Center Y
 
-    ws.send(JSON.stringify({
+    send({
         type: 'viewport',
         viewport: { x, y, w, h, scale }
-    }));
+    });
+
+    scheduleRegionLoad();
 }
 
-function updateOtherUsers(viewports) {
-    // Mark all as not updated
-    const updatedIds = new Set();
+// World-space rectangle covering the screen, grown by `padding` screen sizes
+// on every side
+function getViewRegion(padding) {
+    const w = window.innerWidth / scale;
+    const h = window.innerHeight / scale;
+    const x = -panX / scale;
+    const y = -panY / scale;
+    const halfW = w / 2 + w * padding;
+    const halfH = h / 2 + h * padding;
+    return { minX: x - halfW, minY: y - halfH, maxX: x + halfW, maxY: y + halfH };
+}
 
-    viewports.forEach(vp => {
-        if (vp.id === myId) return; // Don't show self
+function regionContains(region, x, y) {
+    return x >= region.minX && x <= region.maxX && y >= region.minY && y <= region.maxY;
+}
 
-        updatedIds.add(vp.id);
+function regionCovers(outer, inner) {
+    return inner.minX >= outer.minX && inner.maxX <= outer.maxX &&
+        inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+}
+
+// Shrink loadedRegion to the part the server still sends new items for, i.e.
+// the part that has stayed inside the padded view since it was fetched
+function narrowLoadedRegion() {
+    if (!loadedRegion) return;
+    const live = getViewRegion(LOAD_PADDING);
+    const region = {
+        minX: Math.max(loadedRegion.minX, live.minX),
+        minY: Math.max(loadedRegion.minY, live.minY),
+        maxX: Math.min(loadedRegion.maxX, live.maxX),
+        maxY: Math.min(loadedRegion.maxY, live.maxY)
+    };
+    loadedRegion = region.minX <= region.maxX && region.minY <= region.maxY ? region : null;
+}
+
+function scheduleRegionLoad() {
+    clearTimeout(regionTimer);
+    regionTimer = setTimeout(loadRegion, 150);
+}
+
+// Fetch items around the view once the screen gets close to the edge of what
+// is loaded, and evict whatever has drifted far offscreen. If the server
+// can't send everything around the view, fall back to just the screen.
+async function loadRegion() {
+    // Playback decides which items exist; only fill in the view around it
+    if (playback.active) {
+        playback.refresh();
+        evictFarItems();
+        return;
+    }
+
+    if (loadedRegion && regionCovers(loadedRegion, getViewRegion(0))) {
+        evictFarItems();
+        return;
+    }
+
+    try {
+        let region = getViewRegion(LOAD_PADDING);
+        let data = await fetchRegion(region);
+        if (data.truncated) {
+            region = getViewRegion(0);
+            data = await fetchRegion(region);
+            if (data.truncated) console.warn('Too many items around here, showing some of them');
+        }
+        loadedRegion = region;
+        data.items.forEach(addItem);
+        evictFarItems();
+    } catch (err) {
+        console.error('Failed to fetch items', err);
+    }
+}
+
+async function fetchRegion(region) {
+    const params = new URLSearchParams({
+        minX: Math.floor(region.minX),
+        minY: Math.floor(region.minY),
+        maxX: Math.ceil(region.maxX),
+        maxY: Math.ceil(region.maxY)
+    });
+    const res = await fetch(`${API}/items?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+function evictFarItems() {
+    const keep = getViewRegion(LOAD_PADDING);
+    for (const [id, item] of canvasItems) {
+        if (regionContains(keep, item.x, item.y)) continue;
+        if (item === targetItem) continue;
+        removeItem(id);
+    }
+}
+
+// Presence arrives as deltas: users who came into range, moved, or left
+function applyPresence({ joined, moved, left }) {
+    joined.concat(moved).forEach(vp => {
+        if (vp.id === myId) return; // Don't show self
 
         let user = otherUsers.get(vp.id);
         if (!user) {
@@ -162,106 +436,483 @@ function updateOtherUsers(viewports) {
         user.el.style.height = `${vp.h}px`;
         user.el.style.left = `${vp.x - vp.w / 2}px`;
         user.el.style.top = `${vp.y - vp.h / 2}px`;
+        user.el.dataset.name = displayName(vp);
+        if (vp.color) user.el.style.setProperty('--user-color', vp.color);
+
+        updateCursor(user, vp);
+    });
+
+    left.forEach(id => {
+        const user = otherUsers.get(id);
+        if (!user) return;
+        removeOtherUser(user);
+        otherUsers.delete(id);
     });
+}
+
+function updateCursor(user, vp) {
+    if (!vp.cursor) return;
+
+    if (!user.cursorEl) {
+        user.cursorEl = document.createElement('div');
+        user.cursorEl.className = 'user-cursor';
+        user.cursorEl.innerHTML = '<div class="user-cursor-arrow"></div><div class="user-cursor-label"></div>';
+        usersContainer.appendChild(user.cursorEl);
+    }
+
+    user.cursorEl.style.left = `${vp.cursor.x}px`;
+    user.cursorEl.style.top = `${vp.cursor.y}px`;
+    // Cursors stay the same size on screen whatever the zoom
+    user.cursorEl.style.transform = `scale(${1 / scale})`;
+    user.cursorEl.querySelector('.user-cursor-label').textContent = displayName(vp);
+    if (vp.color) user.cursorEl.style.setProperty('--user-color', vp.color);
+}
+
+function removeOtherUser(user) {
+    user.el.remove();
+    if (user.cursorEl) user.cursorEl.remove();
+}
 
-    // Remove stale users
-    for (const [id, user] of otherUsers) {
-        if (!updatedIds.has(id)) {
-            user.el.remove();
-            otherUsers.delete(id);
+function clearOtherUsers() {
+    otherUsers.forEach(removeOtherUser);
+    otherUsers.clear();
+}
+
+function displayName(user) {
+    return user.name || `USER ${user.id.slice(0, 4).toUpperCase()}`;
+}
+
+function renderRoster() {
+    whoList.innerHTML = '';
+
+    rosterUsers.forEach(user => {
+        const li = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'who-swatch';
+        swatch.style.background = user.color || '#ff00ff';
+        li.appendChild(swatch);
+        li.appendChild(document.createTextNode(displayName(user)));
+
+        if (user.id === myId) {
+            li.classList.add('me');
+            li.appendChild(document.createTextNode(' (you)'));
+        } else {
+            li.title = 'Jump to their view';
+            li.addEventListener('click', () => {
+                if (isConnected) send({ type: 'locate', id: user.id });
+            });
+        }
+        whoList.appendChild(li);
+    });
+}
+
+// Centre the view on a world position, keeping the current zoom
+function jumpTo(x, y) {
+    if (gestures) gestures.stop();
+    panX = -x * scale;
+    panY = -y * scale;
+    updateTransform();
+    sendViewportUpdate();
+}
+
+// Nickname and color persist across visits
+function loadProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_KEY));
+        if (saved) {
+            nicknameInput.value = saved.name || '';
+            if (saved.color) colorInput.value = saved.color;
         }
+    } catch (e) {
+        // Ignore a corrupt entry, the inputs keep their defaults
     }
 }
 
-function setupEventListeners() {
-    // Panning
-    viewport.addEventListener('mousedown', e => {
-        if (!isConnected) return;
-        isDragging = true;
-        startX = e.clientX;
-        startY = e.clientY;
-        lastPanX = panX;
-        lastPanY = panY;
-        viewport.style.cursor = 'grabbing';
+function saveProfile() {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify({
+        name: nicknameInput.value.trim(),
+        color: colorInput.value
+    }));
+    sendProfile();
+}
+
+function sendProfile() {
+    if (!isConnected) return;
+
+    send({
+        type: 'profile',
+        name: nicknameInput.value.trim(),
+        color: colorInput.value
     });
+}
+
+// Throttled: at most one update per CURSOR_INTERVAL, with the last position
+// always sent once the mouse stops
+function sendCursor(clientX, clientY) {
+    if (!isConnected) return;
+
+    const x = (clientX - window.innerWidth / 2 - panX) / scale;
+    const y = (clientY - window.innerHeight / 2 - panY) / scale;
+    const now = Date.now();
+
+    clearTimeout(cursorTimer);
+    if (now - lastCursorSent >= CURSOR_INTERVAL) {
+        lastCursorSent = now;
+        send({ type: 'cursor', x, y });
+    } else {
+        cursorTimer = setTimeout(() => sendCursor(clientX, clientY), CURSOR_INTERVAL - (now - lastCursorSent));
+    }
+}
 
-    window.addEventListener('mousemove', e => {
-        if (isDragging) {
-            const dx = e.clientX - startX;
-            const dy = e.clientY - startY;
-            panX = lastPanX + dx;
-            panY = lastPanY + dy;
+function setupEventListeners() {
+    // Panning and zooming
+    gestures = createGestures({
+        element: viewport,
+        getView: () => ({ panX, panY, scale }),
+        setView: view => {
+            ({ panX, panY, scale } = view);
             updateTransform();
+        },
+        onView: sendViewportUpdate,
+        onStart: () => cancelAnimationFrame(flight),
+        enabled: () => isConnected,
+        minScale: MIN_SCALE,
+        maxScale: MAX_SCALE,
+        onTap: e => {
+            if (placing) {
+                // Clicks on the console's own buttons don't drop the text
+                if (!e.target.closest('#center-console')) dropAt(e.clientX, e.clientY);
+            } else {
+                const item = renderer.hitTest(e.clientX, e.clientY);
+                if (item) openItemPopover(item, e.clientX, e.clientY);
+                else closeItemPopover();
+            }
         }
     });
 
-    window.addEventListener('mouseup', () => {
-        isDragging = false;
-        viewport.style.cursor = 'grab';
-        if (isConnected) sendViewportUpdate();
+    window.addEventListener('pointermove', e => {
+        sendCursor(e.clientX, e.clientY);
+        if (placing) moveGhost(e.clientX, e.clientY);
     });
 
-    // Zooming
-    viewport.addEventListener('wheel', e => {
-        if (!isConnected) return;
-        e.preventDefault();
-        const zoomIntensity = 0.1;
-        const delta = -Math.sign(e.deltaY);
-        const newScale = scale + (delta * zoomIntensity * scale);
+    // Minimap: click or drag to move the main view
+    minimap.addEventListener('pointerdown', e => {
+        minimapDragging = true;
+        minimapJump(e);
+    });
+    window.addEventListener('pointermove', e => {
+        if (minimapDragging) minimapJump(e);
+    });
+    window.addEventListener('pointerup', () => {
+        if (!minimapDragging) return;
+        minimapDragging = false;
+        sendViewportUpdate();
+    });
 
-        if (newScale >= MIN_SCALE && newScale <= MAX_SCALE) {
-            scale = newScale;
-            updateTransform();
-            sendViewportUpdate();
-        }
-    }, { passive: false });
+    // Export the area on screen
+    document.querySelectorAll('[data-export]').forEach(link => {
+        link.addEventListener('click', e => {
+            e.preventDefault();
+            const view = getViewRegion(0);
+            const params = new URLSearchParams({
+                minX: Math.floor(view.minX),
+                minY: Math.floor(view.minY),
+                maxX: Math.ceil(view.maxX),
+                maxY: Math.ceil(view.maxY)
+            });
+            window.location.href = `${API}/export/${link.dataset.export}?${params}`;
+        });
+    });
 
-    // Submission
-    submitBtn.addEventListener('click', submitText);
-    userInput.addEventListener('keypress', e => {
-        if (e.key === 'Enter') submitText();
+    // Timelapse
+    timelapseBtn.addEventListener('click', () => {
+        if (playback.active) stopTimelapse();
+        else startTimelapse();
+    });
+    playBtn.addEventListener('click', () => {
+        if (playBtn.dataset.playing) playback.pause();
+        else playback.play();
+    });
+    playbackSpeed.addEventListener('change', () => playback.setSpeed(Number(playbackSpeed.value)));
+    playbackSlider.addEventListener('input', () => {
+        playbackSeeking = true;
+        const { start, end } = playbackSlider.dataset;
+        const time = Number(start) + (Number(end) - Number(start)) * playbackSlider.value / playbackSlider.max;
+        playbackTime.textContent = new Date(time).toLocaleString();
+        playback.seek(time);
+    });
+    playbackSlider.addEventListener('change', () => {
+        playbackSeeking = false;
     });
 
-    // Mobile Touch
-    viewport.addEventListener('touchstart', e => {
-        if (!isConnected) return;
-        if (e.touches.length === 1) {
-            isDragging = true;
-            startX = e.touches[0].clientX;
-            startY = e.touches[0].clientY;
-            lastPanX = panX;
-            lastPanY = panY;
-        }
+    // Search
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => runSearch(0), 250);
     });
+    searchPrev.addEventListener('click', () => runSearch(searchPage - 1));
+    searchNext.addEventListener('click', () => runSearch(searchPage + 1));
 
-    viewport.addEventListener('touchmove', e => {
-        if (isDragging && e.touches.length === 1) {
-            const dx = e.touches[0].clientX - startX;
-            const dy = e.touches[0].clientY - startY;
-            panX = lastPanX + dx;
-            panY = lastPanY + dy;
-            updateTransform();
-        }
+    // Back/forward and hand-edited links
+    window.addEventListener('hashchange', () => {
+        applyHash().then(loadRegion);
     });
 
-    viewport.addEventListener('touchend', () => {
-        isDragging = false;
-        if (isConnected) sendViewportUpdate();
+    // Profile
+    loadProfile();
+    nicknameInput.addEventListener('change', saveProfile);
+    colorInput.addEventListener('change', saveProfile);
+
+    // Submission
+    submitBtn.addEventListener('click', () => submitText());
+    replyCancel.addEventListener('click', () => setReplyTarget(null));
+    placeBtn.addEventListener('click', startPlacing);
+    window.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && placing) stopPlacing();
+    });
+    userInput.addEventListener('keypress', e => {
+        if (e.key === 'Enter') submitText();
     });
 }
 
 function updateTransform() {
     world.style.transform = `translate(${panX}px, ${panY}px) scale(${scale})`;
+    otherUsers.forEach(user => {
+        if (user.cursorEl) user.cursorEl.style.transform = `scale(${1 / scale})`;
+    });
+    renderer.invalidate();
     updateOverlay();
+    scheduleHashUpdate();
 }
 
-function renderItems() {
-    if (!itemsContainer) return;
-    itemsContainer.innerHTML = ''; // Clear and rebuild
+// URL hash state: #x=..&y=..&z=.. for a position, #item=<id> for an item.
+// Every view the user settles on becomes a history entry, so back and
+// forward retrace where they have been.
+function viewHash() {
+    const x = Math.round(-panX / scale);
+    const y = Math.round(-panY / scale);
+    return `#x=${x}&y=${y}&z=${scale.toFixed(2)}`;
+}
+
+function scheduleHashUpdate() {
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(() => {
+        const hash = viewHash();
+        if (replaceNextHash) {
+            history.replaceState(null, '', hash);
+        } else if (hash !== window.location.hash) {
+            history.pushState(null, '', hash);
+        }
+        replaceNextHash = false;
+    }, HASH_DELAY);
+}
+
+async function applyHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    replaceNextHash = true;
 
-    canvasItems.forEach(item => {
-        renderNewItem(item);
+    if (params.has('item')) {
+        try {
+            const res = await fetch(`${API}/items/${encodeURIComponent(params.get('item'))}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const { item } = await res.json();
+            addItem(item);
+            jumpTo(item.x, item.y);
+            highlightItem(item.id);
+        } catch (err) {
+            statusMsg.textContent = 'ITEM NOT FOUND';
+            setTimeout(() => { statusMsg.textContent = ''; }, 3000);
+        }
+        return;
+    }
+
+    const x = parseFloat(params.get('x'));
+    const y = parseFloat(params.get('y'));
+    const z = parseFloat(params.get('z'));
+    if (Number.isFinite(z)) {
+        scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, z));
+    }
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+        jumpTo(x, y);
+    }
+}
+
+async function runSearch(page) {
+    const q = searchInput.value.trim();
+    searchResults.innerHTML = '';
+    searchPager.style.display = 'none';
+    if (!q) return;
+
+    const params = new URLSearchParams({ q, page, limit: SEARCH_PAGE_SIZE });
+    try {
+        const res = await fetch(`${API}/search?${params}`);
+        const data = await res.json();
+        if (searchInput.value.trim() !== q) return; // Superseded by newer typing
+
+        searchPage = data.page;
+        if (!res.ok || !data.results.length) {
+            const li = document.createElement('li');
+            li.textContent = res.ok ? 'NOTHING FOUND' : (data.error || 'SEARCH FAILED');
+            searchResults.appendChild(li);
+            return;
+        }
+
+        data.results.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item.text;
+            li.style.color = item.color;
+            li.addEventListener('click', () => flyToItem(item));
+            searchResults.appendChild(li);
+        });
+
+        const pages = Math.ceil(data.total / data.limit);
+        if (pages > 1) {
+            searchPager.style.display = 'flex';
+            searchPageEl.textContent = `${data.page + 1} / ${pages}`;
+            searchPrev.disabled = data.page === 0;
+            searchNext.disabled = data.page >= pages - 1;
+        }
+    } catch (err) {
+        console.error('Search failed', err);
+    }
+}
+
+// Animate pan and zoom to an item. The yellow pointer line shows the way
+// until the item comes on screen.
+function flyToItem(item) {
+    addItem(item);
+    targetItem = item;
+
+    const fromX = panX;
+    const fromY = panY;
+    const fromScale = scale;
+    const toScale = Math.max(fromScale, 1);
+    const toX = -item.x * toScale;
+    const toY = -item.y * toScale;
+    const start = performance.now();
+
+    cancelAnimationFrame(flight);
+    gestures.stop();
+    const step = now => {
+        const t = Math.min(1, (now - start) / FLY_DURATION);
+        const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        scale = fromScale + (toScale - fromScale) * ease;
+        panX = fromX + (toX - fromX) * ease;
+        panY = fromY + (toY - fromY) * ease;
+        updateTransform();
+
+        if (t < 1) {
+            flight = requestAnimationFrame(step);
+        } else {
+            flight = null;
+            sendViewportUpdate();
+            loadRegion();
+            highlightItem(item.id);
+        }
+    };
+    flight = requestAnimationFrame(step);
+}
+
+function highlightItem(id) {
+    renderer.highlight(id);
+}
+
+function copyItemLink(id) {
+    const url = `${window.location.origin}${window.location.pathname}#item=${encodeURIComponent(id)}`;
+    navigator.clipboard.writeText(url).then(() => {
+        statusMsg.textContent = 'LINK COPIED!';
+    }, () => {
+        statusMsg.textContent = url;
     });
+    setTimeout(() => { statusMsg.textContent = ''; }, 3000);
+}
+
+// Timelapse: swap the live canvas for playback from the first item on
+function clearItems() {
+    targetItem = null;
+    closeItemPopover();
+    for (const id of Array.from(canvasItems.keys())) removeItem(id);
+    loadedRegion = null;
+}
+
+function startTimelapse() {
+    clearItems();
+    playback.setSpeed(Number(playbackSpeed.value));
+    playback.start().then(() => playback.play());
+}
+
+function stopTimelapse() {
+    playback.stop();
+    clearItems();
+    loadRegion();
+}
+
+function renderPlayback({ active, playing, loading, time, start, end, count }) {
+    timelapseBtn.textContent = active ? 'BACK TO LIVE' : 'WATCH TIMELAPSE';
+    playbackControls.style.display = active ? 'block' : 'none';
+    if (!active) return;
+
+    playBtn.textContent = playing ? 'PAUSE' : 'PLAY';
+    playBtn.dataset.playing = playing ? '1' : '';
+    playbackSlider.dataset.start = start;
+    playbackSlider.dataset.end = end;
+    if (!playbackSeeking) {
+        playbackSlider.value = end > start ? (time - start) / (end - start) * playbackSlider.max : 0;
+        playbackTime.textContent = `${new Date(time).toLocaleString()} - ${count} items${loading ? ' - LOADING...' : ''}`;
+    }
+}
+
+function addItem(item) {
+    if (canvasItems.has(item.id)) return;
+    canvasItems.set(item.id, item);
+    renderer.add(item);
+    linkThread(item);
+}
+
+function removeItem(id) {
+    const item = canvasItems.get(id);
+    if (item && item === targetItem) targetItem = null;
+    if (item) unlinkThread(item);
+    canvasItems.delete(id);
+    renderer.remove(id);
+    if (itemPopover && itemPopover.id === id) closeItemPopover();
+}
+
+// Font class and color of an item, shared by both renderers
+function itemStyle(item) {
+    const fontIndex = Math.abs(hashCode(item.text)) % FONT_COUNT;
+    // Use stored color, or deterministic hash for old items
+    const colorIndex = Math.abs(hashCode(item.text + (item.timestamp || ''))) % COLORS.length;
+    return { fontIndex, color: item.color || COLORS[colorIndex] };
+}
+
+// One absolutely positioned div per item inside #world
+function createDomRenderer() {
+    return {
+        add(item) {
+            itemElements.set(item.id, renderNewItem(item));
+        },
+        remove(id) {
+            const el = itemElements.get(id);
+            if (el) el.remove();
+            itemElements.delete(id);
+        },
+        update(item) {
+            const el = itemElements.get(item.id);
+            if (el) el.querySelector('.item-reactions').replaceWith(renderReactions(item));
+        },
+        highlight(id) {
+            const el = itemElements.get(id);
+            if (!el) return;
+            el.classList.add('highlighted');
+            setTimeout(() => el.classList.remove('highlighted'), 3000);
+        },
+        invalidate() {},
+        draw() {},
+        hitTest() {
+            return null;
+        }
+    };
 }
 
 function renderNewItem(item) {
@@ -272,31 +923,276 @@ function renderNewItem(item) {
     el.style.top = `${item.y}px`;
     el.style.transform = `translate(-50%, -50%) rotate(${item.rotation}deg)`;
     el.style.fontSize = `${item.fontSize}px`;
-    const fontIndex = Math.abs(hashCode(item.text)) % 12;
+    const { fontIndex, color } = itemStyle(item);
     el.classList.add(`font-${fontIndex}`);
+    el.style.color = color;
 
-    // Use stored color, or deterministic hash for old items
-    const colorIndex = Math.abs(hashCode(item.text + (item.timestamp || ''))) % COLORS.length;
-    el.style.color = item.color || COLORS[colorIndex];
+    el.appendChild(renderReactions(item));
 
     itemsContainer.appendChild(el);
+    return el;
 }
 
-function submitText() {
-    if (!isConnected) {
-        statusMsg.textContent = 'NOT CONNECTED';
-        return;
+// Canvas renderer: clicking an item opens its reactions and link actions
+function openItemPopover(item, clientX, clientY) {
+    closeItemPopover();
+    const el = document.createElement('div');
+    el.className = 'item-popover';
+    el.style.left = `${clientX}px`;
+    el.style.top = `${clientY}px`;
+    el.appendChild(renderReactions(item));
+    document.body.appendChild(el);
+    itemPopover = { id: item.id, el };
+}
+
+function closeItemPopover() {
+    if (!itemPopover) return;
+    itemPopover.el.remove();
+    itemPopover = null;
+}
+
+function renderReactions(item) {
+    const bar = document.createElement('span');
+    bar.className = 'item-reactions';
+
+    REACTIONS.forEach(emoji => {
+        const count = (item.reactions && item.reactions[emoji]) || 0;
+        const btn = document.createElement('span');
+        btn.className = 'item-reaction';
+        if (!count) btn.classList.add('empty');
+        if (myReactions.has(`${item.id} ${emoji}`)) btn.classList.add('mine');
+        btn.textContent = count ? `${emoji}${count}` : emoji;
+
+        // Don't start a pan when clicking a reaction
+        btn.addEventListener('pointerdown', e => e.stopPropagation());
+        btn.addEventListener('click', () => sendReaction(item.id, emoji));
+        bar.appendChild(btn);
+    });
+
+    const reply = document.createElement('span');
+    reply.className = 'item-reaction empty';
+    reply.title = 'Reply';
+    reply.textContent = '↩';
+    reply.addEventListener('pointerdown', e => e.stopPropagation());
+    reply.addEventListener('click', () => startReply(item));
+    bar.appendChild(reply);
+
+    const link = document.createElement('span');
+    link.className = 'item-reaction empty';
+    link.title = 'Copy link';
+    link.textContent = '🔗';
+    link.addEventListener('pointerdown', e => e.stopPropagation());
+    link.addEventListener('click', () => copyItemLink(item.id));
+    bar.appendChild(link);
+
+    return bar;
+}
+
+function updateReactions(id, reactions) {
+    const item = canvasItems.get(id);
+    if (!item) return;
+
+    item.reactions = reactions;
+    renderer.update(item);
+    if (itemPopover && itemPopover.id === id) {
+        itemPopover.el.querySelector('.item-reactions').replaceWith(renderReactions(item));
     }
+}
+
+function sendReaction(id, emoji) {
+    if (!isConnected) return;
 
+    const key = `${id} ${emoji}`;
+    if (myReactions.has(key)) {
+        myReactions.delete(key);
+    } else {
+        myReactions.add(key);
+    }
+
+    send({
+        type: 'react',
+        id,
+        emoji
+    });
+}
+
+// `at` is an optional { x, y, rotation, fontSize } picked on the canvas
+// Submits are queued until the server answers, and sent again after a
+// reconnect. Each carries a random key so a resend can't post twice.
+function submitText(at) {
     const text = userInput.value.trim();
     if (!text) return;
 
-    statusMsg.textContent = 'SENDING...';
+    if (pendingSubmits.size >= maxPendingSubmits) {
+        statusMsg.textContent = 'HOLD ON, STILL SENDING THE LAST ONES';
+        return;
+    }
 
-    ws.send(JSON.stringify({
-        type: 'submit',
-        text: text
-    }));
+    const key = newSubmitKey();
+    const message = { type: 'submit', text: text, key };
+    if (at) message.at = at;
+    else if (replyTarget) message.reply_to = replyTarget.id;
+    pendingSubmits.set(key, message);
+
+    if (isConnected) {
+        statusMsg.textContent = 'SENDING...';
+        send(message);
+    } else {
+        statusMsg.textContent = 'NOT CONNECTED - WILL SEND WHEN BACK';
+    }
+}
+
+function newSubmitKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// From an item, or a change message carrying the seq of the change
+function noteSeq({ seq }) {
+    if (seq && (lastSeq === null || seq > lastSeq)) lastSeq = seq;
+}
+
+// Hidden or deleted by a moderator
+function itemGone(id) {
+    removeItem(id);
+    playback.remove(id);
+    if (replyTarget && replyTarget.id === id) setReplyTarget(null);
+}
+
+// Changes made while the connection was down. If too many were missed, start
+// over from a fresh region load instead.
+function applyCatchUp({ messages, seq, complete }) {
+    lastSeq = Math.max(lastSeq, seq);
+    if (!complete) {
+        // Playback reloads everything when it ends anyway
+        if (playback.active) return;
+        clearItems();
+        loadRegion();
+        return;
+    }
+    messages.forEach(message => {
+        if (message.type === 'new_item') {
+            const { item } = message;
+            noteSeq(item);
+            if (!playback.active && loadedRegion && regionContains(loadedRegion, item.x, item.y)) addItem(item);
+        } else if (message.type === 'remove_item') {
+            itemGone(message.id);
+        } else if (message.type === 'reaction') {
+            updateReactions(message.id, message.reactions);
+        }
+    });
+}
+
+// Pick-a-spot mode: a ghost of the text follows the mouse until a click
+// drops it there. Size and angle are rolled up front so the ghost shows the
+// real footprint; the server nudges it if the spot turns out to be taken.
+function startPlacing() {
+    const text = userInput.value.trim();
+    if (!text) {
+        statusMsg.textContent = 'TYPE SOMETHING FIRST';
+        setTimeout(() => { statusMsg.textContent = ''; }, 2000);
+        return;
+    }
+    stopPlacing();
+
+    const fontSize = Math.floor(Math.random() * (MAX_FONT_SIZE - MIN_FONT_SIZE + 1)) + MIN_FONT_SIZE;
+    const rotation = Math.round((Math.random() * 2 - 1) * MAX_ROTATION);
+    const el = document.createElement('div');
+    el.className = `canvas-item ghost font-${itemStyle({ text }).fontIndex}`;
+    el.textContent = text;
+    el.style.fontSize = `${fontSize}px`;
+    el.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
+    el.style.display = 'none';
+    itemsContainer.appendChild(el);
+
+    placing = { text, rotation, fontSize, el };
+    viewport.classList.add('placing');
+    statusMsg.textContent = 'CLICK THE VOID TO DROP IT (ESC CANCELS)';
+}
+
+function stopPlacing() {
+    if (!placing) return;
+    placing.el.remove();
+    placing = null;
+    viewport.classList.remove('placing');
+    statusMsg.textContent = '';
+}
+
+function moveGhost(clientX, clientY) {
+    placing.el.style.display = '';
+    placing.el.style.left = `${(clientX - window.innerWidth / 2 - panX) / scale}px`;
+    placing.el.style.top = `${(clientY - window.innerHeight / 2 - panY) / scale}px`;
+}
+
+function dropAt(clientX, clientY) {
+    const { text, rotation, fontSize } = placing;
+    const x = (clientX - window.innerWidth / 2 - panX) / scale;
+    const y = (clientY - window.innerHeight / 2 - panY) / scale;
+    stopPlacing();
+    // The text may have been edited meanwhile; send what the ghost showed
+    userInput.value = text;
+    submitText({ x, y, rotation, fontSize });
+}
+
+// Replying happens from the console at the origin; the reply then lands
+// next to its parent and the view flies there
+function setReplyTarget(item) {
+    replyTarget = item;
+    replyBar.style.display = item ? 'block' : 'none';
+    replyText.textContent = item ? item.text : '';
+}
+
+function startReply(item) {
+    closeItemPopover();
+    setReplyTarget(item);
+    jumpTo(0, 0);
+    userInput.focus();
+}
+
+// Faint line from a reply to its parent while both are loaded
+function linkThread(item) {
+    if (item.replyTo) {
+        let replies = repliesByParent.get(item.replyTo);
+        if (!replies) {
+            replies = new Set();
+            repliesByParent.set(item.replyTo, replies);
+        }
+        replies.add(item.id);
+        drawThreadLine(item);
+    }
+    const replies = repliesByParent.get(item.id);
+    if (replies) replies.forEach(id => drawThreadLine(canvasItems.get(id)));
+}
+
+function unlinkThread(item) {
+    removeThreadLine(item.id);
+    const replies = repliesByParent.get(item.id);
+    if (replies) replies.forEach(removeThreadLine);
+    if (item.replyTo) {
+        const siblings = repliesByParent.get(item.replyTo);
+        if (siblings) {
+            siblings.delete(item.id);
+            if (!siblings.size) repliesByParent.delete(item.replyTo);
+        }
+    }
+}
+
+function drawThreadLine(reply) {
+    const parent = reply && canvasItems.get(reply.replyTo);
+    if (!parent || threadLineEls.has(reply.id)) return;
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('x1', parent.x);
+    line.setAttribute('y1', parent.y);
+    line.setAttribute('x2', reply.x);
+    line.setAttribute('y2', reply.y);
+    threadLines.appendChild(line);
+    threadLineEls.set(reply.id, line);
+}
+
+function removeThreadLine(id) {
+    const line = threadLineEls.get(id);
+    if (line) line.remove();
+    threadLineEls.delete(id);
 }
 
 function updateOverlay() {
@@ -327,10 +1223,95 @@ function updateOverlay() {
 }
 
 function gameLoop() {
+    renderer.draw();
     updateOverlay();
+    drawMinimap();
     requestAnimationFrame(gameLoop);
 }
 
+async function fetchDensity() {
+    try {
+        const res = await fetch(`${API}/density`);
+        density = await res.json();
+    } catch (err) {
+        console.error('Failed to fetch density', err);
+    }
+}
+
+// The minimap covers every item plus the current view, as a square
+function getMinimapBounds() {
+    const view = getViewRegion(0);
+    let { minX, minY, maxX, maxY } = view;
+    if (density && density.cols) {
+        minX = Math.min(minX, density.minX);
+        minY = Math.min(minY, density.minY);
+        maxX = Math.max(maxX, density.minX + density.cols * density.binSize);
+        maxY = Math.max(maxY, density.minY + density.rows * density.binSize);
+    }
+    const size = Math.max(maxX - minX, maxY - minY);
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    return { minX: cx - size / 2, minY: cy - size / 2, size };
+}
+
+function drawMinimap() {
+    const w = minimap.width;
+    const h = minimap.height;
+    // Keep the bounds still while dragging so the map doesn't slide away
+    if (!minimapDragging || !minimapBounds) minimapBounds = getMinimapBounds();
+    const b = minimapBounds;
+    const k = w / b.size;
+    const toX = x => (x - b.minX) * k;
+    const toY = y => (y - b.minY) * k;
+
+    minimapCtx.clearRect(0, 0, w, h);
+
+    if (density && density.max) {
+        const bin = Math.max(1, density.binSize * k);
+        for (let row = 0; row < density.rows; row++) {
+            for (let col = 0; col < density.cols; col++) {
+                const count = density.counts[row * density.cols + col];
+                if (!count) continue;
+                const alpha = 0.15 + 0.85 * Math.sqrt(count / density.max);
+                minimapCtx.fillStyle = `rgba(0, 0, 128, ${alpha})`;
+                minimapCtx.fillRect(
+                    toX(density.minX + col * density.binSize),
+                    toY(density.minY + row * density.binSize),
+                    bin,
+                    bin
+                );
+            }
+        }
+    }
+
+    minimapCtx.lineWidth = 1;
+    minimapCtx.strokeStyle = '#ff00ff';
+    overviewUsers.forEach(u => {
+        if (u.id === myId) return;
+        minimapCtx.strokeRect(toX(u.x - u.w / 2), toY(u.y - u.h / 2), Math.max(2, u.w * k), Math.max(2, u.h * k));
+    });
+
+    const view = getViewRegion(0);
+    minimapCtx.lineWidth = 2;
+    minimapCtx.strokeStyle = '#ff0000';
+    minimapCtx.strokeRect(
+        toX(view.minX),
+        toY(view.minY),
+        Math.max(3, (view.maxX - view.minX) * k),
+        Math.max(3, (view.maxY - view.minY) * k)
+    );
+}
+
+function minimapJump(e) {
+    const rect = minimap.getBoundingClientRect();
+    const b = minimapBounds || getMinimapBounds();
+    const k = b.size / rect.width;
+    // The viewport update goes out once on pointerup, not on every move
+    panX = -(b.minX + (e.clientX - rect.left) * k) * scale;
+    panY = -(b.minY + (e.clientY - rect.top) * k) * scale;
+    updateTransform();
+}
+
 function startStupidLoop() {
     setInterval(() => {
         if (Math.random() > 0.7) spawnPopup();
@@ -341,25 +1322,43 @@ function startStupidLoop() {
     }, 5000);
 }
 
+// A random line for `place` ('popup' or 'shape'), heavier ones more often,
+// or null if there are none
+function pickLine(place) {
+    const lines = contentLines[place] || [];
+    let roll = Math.random() * lines.reduce((sum, line) => sum + line.weight, 0);
+    for (const line of lines) {
+        roll -= line.weight;
+        if (roll < 0) return line.text;
+    }
+    return null;
+}
+
 function spawnPopup() {
-    if (!jokeLines.length) return;
-    const text = jokeLines[Math.floor(Math.random() * jokeLines.length)];
+    const text = pickLine('popup');
+    if (text === null) return;
 
     const popup = document.createElement('div');
     popup.className = 'stupid-popup';
     popup.style.left = `${Math.random() * (window.innerWidth - 200)}px`;
     popup.style.top = `${Math.random() * (window.innerHeight - 150)}px`;
 
-    popup.innerHTML = `
-        <div class="popup-header">
-            <span>MESSAGE</span>
-            <span class="popup-close" onclick="this.parentElement.parentElement.remove()">X</span>
-        </div>
-        <div class="popup-content">
-            ${text}
-        </div>
-    `;
+    // Lines are text, never markup
+    const header = document.createElement('div');
+    header.className = 'popup-header';
+    const title = document.createElement('span');
+    title.textContent = 'MESSAGE';
+    const close = document.createElement('span');
+    close.className = 'popup-close';
+    close.textContent = 'X';
+    close.addEventListener('click', () => popup.remove());
+    header.append(title, close);
+
+    const content = document.createElement('div');
+    content.className = 'popup-content';
+    content.textContent = text;
 
+    popup.append(header, content);
     popupsLayer.appendChild(popup);
     setTimeout(() => popup.remove(), 8000);
 }
@@ -390,9 +1389,10 @@ function spawnGroundShape() {
         shape.style.borderTop = 'none';
     }
 
-    if (jokeLines.length && Math.random() > 0.5) {
+    const line = Math.random() > 0.5 ? pickLine('shape') : null;
+    if (line !== null) {
         const text = document.createElement('div');
-        text.textContent = jokeLines[Math.floor(Math.random() * jokeLines.length)];
+        text.textContent = line;
         text.style.color = COLORS[Math.floor(Math.random() * COLORS.length)];
         text.style.fontSize = '12px';
         text.style.textAlign = 'center';
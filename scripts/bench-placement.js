@@ -0,0 +1,50 @@
+// Placement latency: linear SAT scan vs SpatialGrid.
+//
+//   node scripts/bench-placement.js [sizes...] [--runs=N]
+//
+// Builds a synthetic canvas of each size with the real placement routine,
+// then times a batch of extra placements against both collision checks.
+
+const { placeItem } = require('../src/placement');
+const { checkCollision } = require('../src/geometry');
+const { SpatialGrid } = require('../src/spatial');
+
+const args = process.argv.slice(2);
+const runsArg = args.find(a => a.startsWith('--runs='));
+const runs = runsArg ? parseInt(runsArg.slice(7), 10) : 20;
+const sizes = args.filter(a => !a.startsWith('--')).map(Number);
+if (!sizes.length) sizes.push(10000, 100000);
+
+function buildCanvas(size) {
+    const items = [];
+    const grid = new SpatialGrid();
+    for (let i = 0; i < size; i++) {
+        const { item } = placeItem(`item number ${i}`, items.length, c => grid.collides(c));
+        if (!item) continue;
+        items.push(item);
+        grid.insert(item);
+    }
+    return { items, grid };
+}
+
+function time(label, size, collides) {
+    const samples = [];
+    let attempts = 0;
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        const result = placeItem('benchmark text', size, collides);
+        samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+        attempts += result.attempts;
+    }
+    samples.sort((a, b) => a - b);
+    const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+    const p95 = samples[Math.min(samples.length - 1, Math.floor(samples.length * 0.95))];
+    console.log(`  ${label.padEnd(8)} mean ${mean.toFixed(3)}ms  p95 ${p95.toFixed(3)}ms  attempts/placement ${(attempts / runs).toFixed(1)}`);
+}
+
+for (const size of sizes) {
+    const { items, grid } = buildCanvas(size);
+    console.log(`${items.length} items, ${runs} placements each:`);
+    time('linear', items.length, c => checkCollision(c, items));
+    time('grid', items.length, c => grid.collides(c));
+}
@@ -0,0 +1,19 @@
+// Stand-in event bus for running several server instances on one machine.
+//
+//   node scripts/bus-server.js [port]
+//
+// Then start each instance with its own PORT and EVENT_BUS pointing here:
+//
+//   PORT=3001 EVENT_BUS=tcp://127.0.0.1:4000 node server.js
+//   PORT=3002 EVENT_BUS=tcp://127.0.0.1:4000 node server.js
+
+const { startBusServer } = require('../src/netbus');
+
+const port = parseInt(process.argv[2] || process.env.BUS_PORT || '4000', 10);
+
+const server = startBusServer({ port });
+server.on('listening', () => console.log(`Event bus listening on 127.0.0.1:${port}`));
+server.on('error', err => {
+    console.error(`Event bus: ${err.message}`);
+    process.exit(1);
+});
@@ -5,286 +5,936 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const WebSocket = require('ws');
+const { placeItem, placeReply, placeAt, MIN_FONT_SIZE, MAX_FONT_SIZE, MAX_ROTATION } = require('./src/placement');
+const { RateLimiter } = require('./src/ratelimit');
+const { getClientIp, parseTrustedProxies } = require('./src/clientip');
+const { ContentFilter } = require('./src/filter');
+const { AuditLog } = require('./src/audit');
+const { createAdminRouter, createContentRouter } = require('./src/admin');
+const { ContentSet, migrateDataset } = require('./src/content');
+const { renderSvg, renderPng, toCsv, itemBounds } = require('./src/export');
+const { parseCursor } = require('./src/timeline');
+const { REACTIONS, applyReaction, reactorId, loadReactorSecret } = require('./src/reactions');
+const { Rooms, DEFAULT_ROOM } = require('./src/room');
+const { MemoryBus } = require('./src/bus');
+const { NetBus } = require('./src/netbus');
+const { regionFromViewport, regionContains, parseRegion, regionTooLarge, MAX_REGION_SIZE } = require('./src/region');
+const { loadConfig } = require('./src/config');
+const { Registry, secondsSince, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./src/metrics');
+// Shared with the browser, so it lives with the client files
+const protocol = require('./public/protocol');
+
+// Settings from config.json and the environment, see src/config.js
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
+
+// Proxies allowed to tell us the real client address via X-Forwarded-For
+const TRUSTED_PROXIES = parseTrustedProxies(config.trustedProxies.join(','));
+app.set('trust proxy', [...TRUSTED_PROXIES]);
 
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
-const DATA_FILE = path.join(__dirname, 'data', 'canvas_data.json');
-const JOKE_FILE = path.join(__dirname, 'data', 'dataset.json');
-
-// Rate limiting: Map<IP, timestamp[]>
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 3 * 1000; // 3 seconds
-const MAX_REQUESTS = 100000; // High limit as per previous code, but we'll use it for WS messages too
+const DATA_DIR = config.dataDir;
+const LEGACY_DATASET_FILE = path.join(DATA_DIR, 'dataset.json');
+
+// Rate limiting: token buckets per IP and per connection, with a separate
+// budget for each kind of message (config.rateLimits). `capacity` is the
+// burst size and `refillPerSec` the sustained rate. Exports get their own
+// per-IP budget, and refused messages count against a flood limit that
+// disconnects the connection.
+const rateLimiters = {};
+for (const [kind, limits] of Object.entries(config.rateLimits)) {
+    rateLimiters[kind] = {
+        ip: new RateLimiter(limits.ip),
+        conn: new RateLimiter(limits.conn)
+    };
+}
+const floodLimiter = new RateLimiter(config.floodLimit);
+const exportLimiter = new RateLimiter(config.exportLimit);
+const searchLimiter = new RateLimiter(config.searchLimit);
+
+setInterval(() => {
+    Object.values(rateLimiters).forEach(({ ip, conn }) => {
+        ip.sweep();
+        conn.sweep();
+    });
+    floodLimiter.sweep();
+    exportLimiter.sweep();
+    searchLimiter.sweep();
+}, 60 * 1000).unref();
+
+// Count a refused message against the connection, closing it once it keeps
+// sending messages that get refused
+function countRefusal(ws, clientData) {
+    if (!floodLimiter.take(clientData.id)) {
+        console.warn(`Rate limit: closing flooding connection ${clientData.id} from ${clientData.ip}`);
+        ws.close(1008, 'Rate limit exceeded');
+    }
+}
 
-// Bad words regex (basic list + patterns)
-const advancedFilter = /((f|ph)[u@*](c|k|q)|s[h$][i1]t|b[i1]tch|wh[o0]re|c[u*]nt|n[i1]gg(er|a)|k[i1]ll|d[i1]e|su[i1]c[i1]de)/i;
+// Spend a token for this kind of message. Returns true if the client is over
+// budget; a connection that keeps going over is closed.
+function isRateLimited(ws, clientData, kind) {
+    const limiter = rateLimiters[kind];
+    // Check both so a refused message still costs the connection a token
+    const ipOk = limiter.ip.take(clientData.ip);
+    const connOk = limiter.conn.take(clientData.id);
+    if (ipOk && connOk) return false;
 
-function isRateLimited(ip) {
-    const now = Date.now();
-    let timestamps = rateLimitMap.get(ip) || [];
-    // Filter out old timestamps
-    timestamps = timestamps.filter(t => now - t < RATE_LIMIT_WINDOW);
+    countRefusal(ws, clientData);
+    return true;
+}
 
-    if (timestamps.length >= MAX_REQUESTS) {
-        return true;
+// A data directory without its own filter.json or content.json starts out
+// with a copy of the ones shipped in data/. The admin API rewrites
+// content.json, so it is shipped as content.default.json to keep edits out
+// of the checkout even when DATA_DIR is data/ itself.
+const SHIPPED_DATA_DIR = path.join(__dirname, 'data');
+
+function dataFile(name, shippedName = name) {
+    const file = path.join(DATA_DIR, name);
+    const shipped = path.join(SHIPPED_DATA_DIR, shippedName);
+    if (!fs.existsSync(file) && fs.existsSync(shipped)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.copyFileSync(shipped, file);
+        console.log(`Data: no ${name} in ${DATA_DIR}, copied the default one`);
     }
-
-    timestamps.push(now);
-    rateLimitMap.set(ip, timestamps);
-    return false;
+    return file;
 }
 
-function getRotatedRectCorners(cx, cy, w, h, angleDeg) {
-    const angleRad = angleDeg * (Math.PI / 180);
-    const cos = Math.cos(angleRad);
-    const sin = Math.sin(angleRad);
-
-    // Half dimensions (with padding)
-    const hw = (w / 2) + 10; // 10px padding
-    const hh = (h / 2) + 10;
-
-    // Corners relative to center
-    // TL, TR, BR, BL
-    const corners = [
-        { x: -hw, y: -hh },
-        { x: hw, y: -hh },
-        { x: hw, y: hh },
-        { x: -hw, y: hh }
-    ];
-
-    // Rotate and translate
-    return corners.map(p => ({
-        x: (p.x * cos - p.y * sin) + cx,
-        y: (p.x * sin + p.y * cos) + cy
-    }));
-}
+// Word lists and patterns live in filter.json and reload on change
+const contentFilter = new ContentFilter(dataFile('filter.json')).load().watch();
 
-function doPolygonsIntersect(a, b) {
-    const polygons = [a, b];
+// Popup and shape lines shared by every room, see src/content.js
+const sharedContent = new ContentSet(dataFile('content.json', 'content.default.json')).load();
 
-    for (let i = 0; i < polygons.length; i++) {
-        const polygon = polygons[i];
-        for (let j = 0; j < polygon.length; j++) {
-            const p1 = polygon[j];
-            const p2 = polygon[(j + 1) % polygon.length];
+// Keys the ids reactions are stored under, see src/reactions.js
+const reactorSecret = loadReactorSecret(DATA_DIR);
+if (fs.existsSync(LEGACY_DATASET_FILE)) migrateDataset(sharedContent, LEGACY_DATASET_FILE, 'classic');
 
-            // Normal (axis)
-            const normal = { x: -(p2.y - p1.y), y: p2.x - p1.x };
+// Create HTTP server
+const server = http.createServer(app);
 
-            // Project both polygons
-            let minA = Infinity, maxA = -Infinity;
-            for (const p of a) {
-                const projected = normal.x * p.x + normal.y * p.y;
-                if (projected < minA) minA = projected;
-                if (projected > maxA) maxA = projected;
-            }
+// Create WebSocket server. No valid message comes anywhere near maxPayload.
+const wss = new WebSocket.Server({ server, maxPayload: 16 * 1024, verifyClient: openRoomForUpgrade });
 
-            let minB = Infinity, maxB = -Infinity;
-            for (const p of b) {
-                const projected = normal.x * p.x + normal.y * p.y;
-                if (projected < minB) minB = projected;
-                if (projected > maxB) maxB = projected;
-            }
+// Store connected clients: Map<ws, {ip, room, viewport: {x, y, w, h, scale}, region, id}>
+const clients = new Map();
 
-            // Check for gap
-            if (maxA < minB || maxB < minA) {
-                return false; // Separating axis found
-            }
+// Served at GET /metrics. Gauges are read when scraped; `rooms` is set up
+// further down.
+const SUBMIT_REJECT_REASONS = [
+    'bad_key', 'rate_limited', 'bad_text', 'filtered', 'bad_spot',
+    'parent_gone', 'no_space', 'removed', 'room_limit', 'error'
+];
+
+const metrics = new Registry();
+metrics.gauge('canvas_connected_sockets', 'Open WebSocket connections', () => clients.size);
+metrics.gauge('canvas_rooms_open', 'Rooms loaded on this instance', () => rooms.all().length);
+metrics.gauge('canvas_items', 'Items stored per open room, hidden ones included',
+    () => rooms.all().map(room => [{ room: room.name }, room.store.count]));
+const submitsAccepted = metrics.counter('canvas_submits_accepted_total', 'Submits that placed a new item');
+const submitsRejected = metrics.counter('canvas_submits_rejected_total', 'Submits turned down, by reason');
+SUBMIT_REJECT_REASONS.forEach(reason => submitsRejected.inc({ reason }, 0));
+const placementAttempts = metrics.histogram('canvas_placement_attempts', 'Spots tried per placement',
+    [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]);
+const placementDuration = metrics.histogram('canvas_placement_duration_seconds', 'Time spent finding a spot');
+
+function send(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(data));
+}
+
+// Send to everyone in a room
+function broadcast(room, data, excludeWs = null) {
+    const message = JSON.stringify(data);
+    room.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client !== excludeWs) {
+            client.send(message);
         }
+    });
+}
+
+// Send an item only to clients in the room whose subscribed region contains it
+function broadcastItem(room, data, item, excludeWs = null) {
+    const message = JSON.stringify(data);
+    room.clients.forEach(client => {
+        const clientData = clients.get(client);
+        if (client === excludeWs || client.readyState !== WebSocket.OPEN) return;
+        if (!clientData.region || !regionContains(clientData.region, item.x, item.y)) return;
+        client.send(message);
+    });
+}
+
+// Everyone in the room, on every instance
+function broadcastOnlineCount(room) {
+    broadcast(room, { type: 'online_count', count: room.presence.size });
+}
+
+// Changes replayed to a reconnecting client before it is told to reload instead
+const MAX_CATCH_UP = 500;
+
+// What a connected client would have heard about a record, going by the item
+// as it is now. Null for changes that don't concern clients.
+function catchUpMessage(store, record) {
+    if (record.op === 'delete') return { type: 'remove_item', id: record.id };
+    const id = record.op === 'add' ? record.item.id : record.id;
+    const item = store.get(id);
+    if (record.op === 'add' || record.patch.hidden === false) {
+        return item && !item.hidden ? { type: 'new_item', item } : null;
     }
-    return true;
+    if (record.patch.hidden === true) return { type: 'remove_item', id };
+    if (record.patch.reactions && item) return { type: 'reaction', id, reactions: item.reactions };
+    return null;
+}
+const MAX_SUBMIT_KEY_LENGTH = 64;
+// Submits a client may queue up, so resending them all after a reconnect
+// stays within the rate limit
+const SUBMIT_BURST = Math.min(config.rateLimits.submit.ip.capacity, config.rateLimits.submit.conn.capacity);
+// Same as content lines; they also break XML in exports
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+const MAX_NICKNAME_LENGTH = 20;
+const PROFILE_COLOR = /^#[0-9a-f]{6}$/i;
+
+// A spot picked by the user for their submit, { x, y, rotation, fontSize }
+// (the protocol has checked these are numbers), or null if out of range
+const MAX_SPOT_COORD = 1e7;
+
+function parseSpot({ x, y, rotation, fontSize }) {
+    if (Math.abs(x) > MAX_SPOT_COORD || Math.abs(y) > MAX_SPOT_COORD) return null;
+    if (Math.abs(rotation) > MAX_ROTATION) return null;
+    if (fontSize < MIN_FONT_SIZE || fontSize > MAX_FONT_SIZE) return null;
+    return { x, y, rotation, fontSize: Math.round(fontSize) };
 }
 
-function checkCollision(newItem, existingItems) {
-    // Estimate width based on font size and text length
-    // Average char width approx 0.6 * fontSize
-    const newW = newItem.text.length * (newItem.fontSize * 0.6);
-    const newH = newItem.fontSize;
+// Other server instances sharing the data directory, see src/bus.js.
+// An eventBus of tcp://host:port joins a bus server (scripts/bus-server.js);
+// without it this is the only instance.
+function createBus(url) {
+    if (!url) return new MemoryBus();
+    const { hostname, port } = new URL(url);
+    return new NetBus({ host: hostname, port: Number(port) });
+}
 
-    const newPoly = getRotatedRectCorners(newItem.x, newItem.y, newW, newH, newItem.rotation);
+const bus = createBus(config.eventBus);
+
+// Canvases by name, each with its own items and presence. The default one
+// is opened once the bus is connected, as loading takes the room's lock;
+// others when someone connects to them, and unloaded once nobody has been
+// in them for a while.
+const rooms = new Rooms({
+    dataDir: DATA_DIR,
+    send,
+    bus,
+    content: sharedContent,
+    maxRooms: config.maxRooms,
+    settings: { maxTextLength: config.maxTextLength },
+    // Users elsewhere may already be in it
+    onOpen: room => bus.publish('sync', { room: room.name }),
+    onRemote: passOn
+});
 
-    for (const item of existingItems) {
-        const itemW = item.text.length * (item.fontSize * 0.6);
-        const itemH = item.fontSize;
+setInterval(() => {
+    rooms.sweep().forEach(room => {
+        adminRouters.delete(room.name);
+        pushedContent.delete(room.name);
+    });
+}, 60 * 1000).unref();
 
-        const itemPoly = getRotatedRectCorners(item.x, item.y, itemW, itemH, item.rotation);
+// Changes made on other instances, passed on to our clients. Records for
+// rooms nobody here has opened are on disk for when someone does.
+bus.subscribe('records', ({ room: name, record }) => {
+    const room = rooms.find(name);
+    if (room) room.receive(record);
+});
 
-        if (doPolygonsIntersect(newPoly, itemPoly)) {
-            return true;
-        }
+// A record from another instance applied to the room, with the item it touched
+function passOn(room, record, item) {
+    const { seq } = record;
+    if (record.op === 'add') {
+        if (!item.hidden) broadcastItem(room, { type: 'new_item', item }, item);
+    } else if (record.op === 'delete') {
+        broadcastItem(room, { type: 'remove_item', id: item.id, seq }, item);
+    } else if (record.patch.hidden === true) {
+        broadcastItem(room, { type: 'remove_item', id: item.id, seq }, item);
+    } else if (record.patch.hidden === false) {
+        broadcastItem(room, { type: 'new_item', item, seq }, item);
+    } else if (record.patch.reactions) {
+        broadcastItem(room, { type: 'reaction', id: item.id, reactions: item.reactions, seq }, item);
     }
-    return false;
 }
 
-// Create HTTP server
-const server = http.createServer(app);
+// Apply whatever other instances wrote to the room's log that we never heard of
+function refreshRoom(room) {
+    room.refresh().catch(err => console.error(`Room ${room.name}: catching up failed: ${err.message}`));
+}
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Presence changes of the users connected here
+function sharePresence(room, event) {
+    bus.publish('presence', { room: room.name, ...event });
+}
 
-// Store connected clients: Map<ws, {ip, viewport: {x, y, w, h, scale}, id}>
-const clients = new Map();
+// Only for rooms open here; whoever is in a room when it opens is asked for
+// with a sync
+bus.subscribe('presence', (event, from) => {
+    const room = rooms.find(event.room);
+    if (room && room.applyRemotePresence(event, from)) broadcastOnlineCount(room);
+});
 
-function broadcast(data, excludeWs = null) {
-    const message = JSON.stringify(data);
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client !== excludeWs) {
-            client.send(message);
-        }
+// A newly connected instance, or one that just opened a room, asks everyone
+// for their users. The former may also have written records that never made
+// it over the bus.
+bus.subscribe('sync', ({ room: name }) => {
+    rooms.all().forEach(room => {
+        if (name && room.name !== name) return;
+        if (!name) refreshRoom(room);
+        room.localPresence().forEach(event => sharePresence(room, event));
+    });
+});
+
+bus.on('connect', () => {
+    // Unless it is loaded already
+    rooms.get(DEFAULT_ROOM);
+
+    // Whoever we knew about, and what they wrote, may have changed while we
+    // were away
+    rooms.all().forEach(room => {
+        if (room.dropRemoteUsers(null)) broadcastOnlineCount(room);
+        room.localPresence().forEach(event => sharePresence(room, event));
+        refreshRoom(room);
     });
+    bus.publish('sync', {});
+});
+
+// Content lines as last sent to each room, to notice schedules turning
+// categories on and off
+const CONTENT_CHECK_MS = 60 * 1000;
+const pushedContent = new Map(); // room name -> JSON
+
+function pushContent(room) {
+    const content = room.activeContent();
+    pushedContent.set(room.name, JSON.stringify(content));
+    broadcast(room, { type: 'content', ...content });
 }
 
-function broadcastOnlineCount() {
-    const count = wss.clients.size;
-    broadcast({ type: 'online_count', count });
+// After an edit here or on another instance; the shared lines reach every room
+function contentChanged(room) {
+    if (room.content === sharedContent) rooms.all().forEach(pushContent);
+    else pushContent(room);
 }
 
-function broadcastViewports() {
-    const viewports = [];
-    clients.forEach((data, ws) => {
-        if (data.viewport) {
-            viewports.push({ id: data.id, ...data.viewport });
-        }
+setInterval(() => {
+    rooms.all().forEach(room => {
+        const content = JSON.stringify(room.activeContent());
+        if (!pushedContent.has(room.name)) pushedContent.set(room.name, content);
+        else if (content !== pushedContent.get(room.name)) pushContent(room);
     });
-    // Broadcast to all, no exclusion needed really, but client can filter self if needed
-    // Actually, let's exclude the sender in the loop if we wanted, but for viewports everyone needs to know everyone else
-    // We will send all viewports to everyone. Client filters self by ID if needed.
-    broadcast({ type: 'viewports', viewports });
+}, CONTENT_CHECK_MS).unref();
+
+bus.subscribe('content', ({ room: name }) => {
+    const room = rooms.find(name);
+    if (!room) return;
+    try {
+        room.content.load(room.content === sharedContent ? null : sharedContent);
+    } catch (err) {
+        console.error(`Content: reload after a change elsewhere failed: ${err.message}`);
+        return;
+    }
+    contentChanged(room);
+});
+
+bus.on('peer_gone', instance => {
+    rooms.all().forEach(room => {
+        if (room.dropRemoteUsers(instance)) broadcastOnlineCount(room);
+    });
+});
+
+// Opens the room named by ?room= on a WebSocket URL, or the default one, as
+// req.room and waits for it to load. Null if the name is invalid or no more
+// rooms can be opened. A new room is only kept in memory until its first
+// submit.
+function openRoomForUpgrade({ req }, done) {
+    const name = new URL(req.url, 'http://localhost').searchParams.get('room');
+    try {
+        req.room = rooms.get(name || DEFAULT_ROOM);
+    } catch (err) {
+        console.error(err);
+        req.room = null;
+    }
+    if (!req.room) return done(true);
+    req.room.ready.then(loaded => done(loaded, 503, 'Room unavailable'));
 }
 
 wss.on('connection', (ws, req) => {
-    const ip = req.socket.remoteAddress;
+    const ip = getClientIp(req, TRUSTED_PROXIES);
     const id = Math.random().toString(36).substr(2, 9);
 
-    clients.set(ws, { ip, id, viewport: null });
-
-    // Send init message with ID
-    ws.send(JSON.stringify({ type: 'init', id }));
+    const room = req.room;
+    if (!room) {
+        send(ws, protocol.errorMessage({ code: protocol.ERROR_CODES.UNKNOWN_ROOM, error: 'No such room' }));
+        ws.close(1008, 'No such room');
+        return;
+    }
+    const { store, presence } = room;
+
+    clients.set(ws, { ip, id, room, viewport: null, region: null, protocol: null });
+    room.clients.add(ws);
+    presence.join(id, ws);
+    sharePresence(room, { op: 'join', id });
+
+    // Send init message with ID; the client answers with `hello`
+    send(ws, {
+        type: 'init',
+        id,
+        protocol: protocol.PROTOCOL_VERSION,
+        seq: store.seq,
+        room: room.name,
+        settings: { maxTextLength: room.settings.maxTextLength, submitBurst: SUBMIT_BURST }
+    });
+    send(ws, { type: 'content', ...room.activeContent() });
 
-    broadcastOnlineCount();
+    broadcastOnlineCount(room);
 
     ws.on('message', (message) => {
+        // Messages already buffered when a flooding socket is closed
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        const { message: data, error } = protocol.parseClientMessage(message);
+        if (error) {
+            send(ws, protocol.errorMessage(error));
+            countRefusal(ws, clients.get(ws));
+            return;
+        }
+
+        // Nothing but the version handshake until it has succeeded
+        if (data.type !== 'hello' && clients.get(ws).protocol === null) {
+            send(ws, protocol.errorMessage({
+                code: protocol.ERROR_CODES.HELLO_REQUIRED,
+                error: 'Send hello first',
+                ref: data.type
+            }));
+            countRefusal(ws, clients.get(ws));
+            return;
+        }
+
         try {
-            const data = JSON.parse(message);
+            if (data.type === 'hello') {
+                const clientData = clients.get(ws);
+                if (!clientData) return;
 
-            if (data.type === 'viewport') {
+                if (!protocol.isSupported(data.protocol)) {
+                    send(ws, protocol.errorMessage({
+                        code: protocol.ERROR_CODES.UNSUPPORTED_PROTOCOL,
+                        error: `Protocol ${data.protocol} is not supported, please reload`,
+                        ref: 'hello'
+                    }));
+                    ws.close(1002, 'Unsupported protocol');
+                    return;
+                }
+                clientData.protocol = data.protocol;
+
+                // Back after a dropped connection: send what changed meanwhile
+                if (data.since !== undefined) {
+                    const missed = store.since(data.since, MAX_CATCH_UP);
+                    send(ws, {
+                        type: 'catch_up',
+                        messages: missed ? missed.map(record => catchUpMessage(store, record)).filter(Boolean) : [],
+                        seq: store.seq,
+                        complete: missed !== null
+                    });
+                }
+            } else if (data.type === 'viewport') {
                 const clientData = clients.get(ws);
                 if (clientData) {
+                    // Viewport updates are best effort, drop the excess quietly
+                    if (isRateLimited(ws, clientData, 'viewport')) return;
+
                     clientData.viewport = data.viewport;
-                    // We could broadcast immediately or throttle. 
-                    // For smoothness, let's broadcast immediately for now, but in high load this should be throttled.
-                    broadcastViewports();
+                    clientData.region = regionFromViewport(data.viewport);
+                    presence.update(id, data.viewport);
+                    sharePresence(room, { op: 'viewport', id, viewport: data.viewport });
+                }
+            } else if (data.type === 'cursor') {
+                const clientData = clients.get(ws);
+                if (!clientData || isRateLimited(ws, clientData, 'cursor')) return;
+
+                presence.setCursor(id, data.x, data.y);
+                sharePresence(room, { op: 'cursor', id, x: data.x, y: data.y });
+            } else if (data.type === 'profile') {
+                const clientData = clients.get(ws);
+                if (!clientData) return;
+
+                if (isRateLimited(ws, clientData, 'profile')) {
+                    send(ws, { type: 'profile_error', error: 'Rate limit exceeded. Chill out.' });
+                    return;
+                }
+
+                // Strip control characters; an empty name means anonymous
+                const name = (data.name || '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+                const color = PROFILE_COLOR.test(data.color) ? data.color : null;
+
+                if (name.length > MAX_NICKNAME_LENGTH) {
+                    send(ws, { type: 'profile_error', error: 'Nickname too long.' });
+                    return;
+                }
+                if (name && room.settings.filter && contentFilter.check(name)) {
+                    send(ws, { type: 'profile_error', error: 'Watch your language!' });
+                    return;
+                }
+
+                presence.setProfile(id, { name: name || null, color });
+                sharePresence(room, { op: 'profile', id, name: name || null, color });
+            } else if (data.type === 'locate') {
+                const clientData = clients.get(ws);
+                if (!clientData || isRateLimited(ws, clientData, 'locate')) return;
+
+                const location = presence.locate(data.id);
+                if (location) {
+                    send(ws, { type: 'user_location', ...location });
+                }
+            } else if (data.type === 'react') {
+                const clientData = clients.get(ws);
+                if (!clientData) return;
+
+                if (isRateLimited(ws, clientData, 'react')) {
+                    send(ws, { type: 'react_error', id: data.id, error: 'Rate limit exceeded. Chill out.' });
+                    return;
                 }
+
+                const { id: itemId, emoji } = data;
+                room.exclusive(() => {
+                    const item = store.get(itemId);
+                    if (!item || item.hidden || !REACTIONS.includes(emoji)) {
+                        send(ws, { type: 'react_error', id: itemId, error: 'Unknown item or reaction.' });
+                        return;
+                    }
+
+                    const by = reactorId(reactorSecret, clientData.ip);
+                    const delta = room.reactions.delta(by, itemId, emoji);
+                    if (delta === null) {
+                        send(ws, { type: 'react_error', id: itemId, error: 'Reaction limit reached.' });
+                        return;
+                    }
+
+                    store.react(itemId, applyReaction(item.reactions, emoji, delta), { by, emoji, delta });
+                    broadcastItem(room, { type: 'reaction', id: itemId, reactions: item.reactions, seq: store.seq }, item);
+                }).catch(err => {
+                    console.error(err);
+                    send(ws, { type: 'react_error', id: itemId, error: 'Server error' });
+                });
             } else if (data.type === 'submit') {
                 const clientData = clients.get(ws);
                 if (!clientData) return;
 
-                if (isRateLimited(clientData.ip)) {
-                    ws.send(JSON.stringify({ type: 'submit_error', error: 'Rate limit exceeded. Chill out.' }));
+                const { text, reply_to: replyTo, at, key } = data;
+                const submitError = (reason, error, extra) => {
+                    submitsRejected.inc({ reason });
+                    send(ws, { type: 'submit_error', error, key, ...extra });
+                };
+
+                // A retry of a submit that already went through, e.g. sent
+                // again after the connection dropped before the reply arrived.
+                // Returns true if it was answered.
+                const answerRetry = () => {
+                    if (key === undefined || !store.hasKey(key)) return false;
+                    const existing = store.byKey(key);
+                    if (existing && !existing.hidden) {
+                        send(ws, { type: 'submit_success', item: existing, key });
+                    } else {
+                        submitError('removed', 'Your message was removed.');
+                    }
+                    return true;
+                };
+
+                if (key !== undefined && key.length > MAX_SUBMIT_KEY_LENGTH) {
+                    submitError('bad_key', 'Bad key.');
                     return;
                 }
+                if (answerRetry()) return;
 
-                const { text } = data;
+                if (isRateLimited(ws, clientData, 'submit')) {
+                    submitError('rate_limited', 'Rate limit exceeded. Chill out.');
+                    return;
+                }
 
-                if (!text || text.length > 67) {
-                    ws.send(JSON.stringify({ type: 'submit_error', error: 'Text too long or empty.' }));
+                if (!text || text.length > room.settings.maxTextLength) {
+                    submitError('bad_text', 'Text too long or empty.');
+                    return;
+                }
+                if (CONTROL_CHARS.test(text)) {
+                    submitError('bad_text', 'Text must not contain control characters.');
                     return;
                 }
 
-                if (advancedFilter.test(text)) {
-                    ws.send(JSON.stringify({ type: 'submit_error', error: 'Watch your language!' }));
+                const filterHit = room.settings.filter ? contentFilter.check(text) : null;
+                if (filterHit) {
+                    console.log(`Filter: rejected submit from ${clientData.ip} (${filterHit.rule}, matched "${filterHit.match}")`);
+                    submitError('filtered', 'Watch your language!', { rule: filterHit.rule });
                     return;
                 }
 
-                try {
-                    const canvasData = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+                // A spot the user clicked, nudged if it is taken
+                let spot = null;
+                if (at !== undefined) {
+                    spot = parseSpot(at);
+                    if (!spot || replyTo !== undefined) {
+                        submitError('bad_spot', replyTo !== undefined ? 'Replies go next to their parent.' : 'Bad spot.');
+                        return;
+                    }
+                }
 
-                    let newItem = null;
-                    let attempts = 0;
-                    const maxAttempts = 5000;
+                // Placed under the room's lock, so no other instance can
+                // take the same spot in the meantime
+                room.exclusive(() => {
+                    // The first try may have landed on another instance
+                    if (answerRetry()) return;
 
-                    while (!newItem && attempts < maxAttempts) {
-                        const count = canvasData.length;
-                        const gap = 500;
-                        let expansion = 0;
-                        if (attempts > 100) {
-                            expansion = (attempts - 100) * 5;
-                        }
+                    // The first item in a new room puts it on disk
+                    if (!rooms.mayWrite(room)) {
+                        submitError('room_limit', 'This canvas cannot be created, there are too many already.');
+                        return;
+                    }
 
-                        const maxRadius = 500 + (count * 10) + expansion;
-                        const minRadius = Math.max(0, maxRadius - gap);
-                        const angle = Math.random() * Math.PI * 2;
-                        const r = Math.sqrt(Math.random() * (maxRadius * maxRadius - minRadius * minRadius) + minRadius * minRadius);
-                        const x = r * Math.cos(angle);
-                        const y = r * Math.sin(angle);
-                        const rotation = (Math.random() * 140) - 70;
-                        const fontSize = Math.floor(Math.random() * (64 - 24 + 1)) + 24;
-                        const COLORS = ['#ff0000', '#008000', '#0000ff', '#800080', '#008080', '#000000', '#ff4500', '#8b4513'];
-                        const color = COLORS[Math.floor(Math.random() * COLORS.length)];
-
-                        const candidate = {
-                            text,
-                            x,
-                            y,
-                            rotation,
-                            fontSize,
-                            color,
-                            timestamp: Date.now()
-                        };
-
-                        if (!checkCollision(candidate, canvasData)) {
-                            newItem = candidate;
+                    // Replies go next to their parent, which has to still be visible
+                    let parent = null;
+                    if (replyTo !== undefined) {
+                        parent = store.get(replyTo);
+                        if (!parent || parent.hidden) {
+                            submitError('parent_gone', 'The item you replied to is gone.');
+                            return;
                         }
-                        attempts++;
                     }
 
+                    const collides = candidate => room.spatialIndex.collides(candidate);
+                    const started = process.hrtime.bigint();
+                    let placed;
+                    if (spot) placed = placeAt(text, spot, collides, config.placement);
+                    else if (parent) placed = placeReply(text, parent, collides, config.placement);
+                    else placed = placeItem(text, store.count, collides, config.placement);
+                    placementDuration.observe(secondsSince(started));
+                    placementAttempts.observe(placed.attempts);
+                    const newItem = placed.item;
+
                     if (!newItem) {
-                        ws.send(JSON.stringify({ type: 'submit_error', error: 'Canvas too crowded near center, try again.' }));
+                        let error = 'Canvas too crowded near center, try again.';
+                        if (spot) error = 'That spot is taken and nothing nearby is free.';
+                        else if (parent) error = 'No room left near that item, try again.';
+                        submitError('no_space', error);
                         return;
                     }
 
-                    canvasData.push(newItem);
-                    fs.writeFileSync(DATA_FILE, JSON.stringify(canvasData, null, 2));
+                    room.add(newItem, key);
+                    submitsAccepted.inc();
 
                     // Send success to sender
-                    ws.send(JSON.stringify({ type: 'submit_success', item: newItem }));
-
-                    // Broadcast new item to everyone else
-                    broadcast({ type: 'new_item', item: newItem }, ws);
+                    send(ws, { type: 'submit_success', item: newItem, key });
 
-                } catch (err) {
+                    // Broadcast new item to everyone else looking at that area
+                    broadcastItem(room, { type: 'new_item', item: newItem }, newItem, ws);
+                }).catch(err => {
                     console.error(err);
-                    ws.send(JSON.stringify({ type: 'submit_error', error: 'Server error' }));
-                }
+                    submitError('error', 'Server error');
+                });
             }
         } catch (e) {
-            console.error('Invalid message', e);
+            console.error('Failed to handle message', e);
         }
     });
 
+    // Oversized frames and other protocol violations; ws closes the socket
+    ws.on('error', err => {
+        console.warn(`WebSocket error from ${ip}: ${err.message}`);
+    });
+
     ws.on('close', () => {
+        const clientData = clients.get(ws);
+        Object.values(rateLimiters).forEach(({ conn }) => conn.delete(clientData.id));
+        floodLimiter.delete(clientData.id);
         clients.delete(ws);
-        broadcastOnlineCount();
-        broadcastViewports(); // Remove their box
+        room.clients.delete(ws);
+        presence.leave(clientData.id); // Remove their box
+        sharePresence(room, { op: 'leave', id: clientData.id });
+        broadcastOnlineCount(room);
     });
 });
 
-app.get('/api/data', (req, res) => {
+// Liveness: the process is up and serving HTTP
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// Readiness: able to take submits. With an event bus that means being
+// connected to it, since nothing is placed without the room lock.
+app.get('/readyz', (req, res) => {
+    const main = rooms.find(DEFAULT_ROOM);
+    const checks = {
+        bus: bus.connected ? 'ok' : 'disconnected',
+        rooms: main && main.loaded ? 'ok' : 'not loaded'
+    };
+    const ready = Object.values(checks).every(check => check === 'ok');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+app.get('/metrics', (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Every canvas page is the same client; it reads the room name from the URL
+app.get('/c/:room', (req, res, next) => {
+    if (!Rooms.isValidName(req.params.room)) return next();
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// The API below is per room: /api/c/<name>/... for a named room, /api/...
+// for the default one
+const api = express.Router();
+
+// Read-only requests only see rooms that exist; the admin API can set up
+// a new one
+function useRoom(req, res, next) {
+    const name = req.params.room || DEFAULT_ROOM;
+    let room;
     try {
-        const canvasData = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-        const jokeData = JSON.parse(fs.readFileSync(JOKE_FILE, 'utf8'));
-        res.json({ canvas: canvasData, jokes: jokeData });
+        room = /^\/admin(\/|$)/.test(req.path) ? rooms.get(name) : rooms.open(name);
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Failed to read data' });
+        return res.status(500).json({ error: 'Failed to open room' });
     }
+    if (!room) {
+        return res.status(404).json({ error: 'No such room' });
+    }
+    room.ready.then(loaded => {
+        if (!loaded) return res.status(503).json({ error: 'Failed to open room' });
+        req.room = room;
+        next();
+    });
+}
+
+// Items inside a world-space rectangle. The client asks for the area around
+// its viewport and fetches again as it pans away from what it has loaded.
+const MAX_REGION_ITEMS = 5000;
+
+api.get('/items', (req, res) => {
+    const region = parseRegion(req.query);
+    if (!region) {
+        return res.status(400).json({ error: 'minX, minY, maxX and maxY must be numbers' });
+    }
+    if (regionTooLarge(region)) {
+        return res.status(400).json({ error: `Region must be at most ${MAX_REGION_SIZE} units on each side` });
+    }
+
+    const items = req.room.spatialIndex.query(region.minX, region.minY, region.maxX, region.maxY)
+        .filter(item => !item.hidden && regionContains(region, item.x, item.y));
+    const truncated = items.length > MAX_REGION_ITEMS;
+    res.json({ items: truncated ? items.slice(0, MAX_REGION_ITEMS) : items, truncated });
+});
+
+// Low-resolution item density over the whole canvas, for the minimap
+api.get('/density', (req, res) => {
+    res.json(req.room.densityGrid.snapshot());
+});
+
+// Visible items oldest first, in chunks, for timelapse playback. Pass the
+// returned `next` back as `after` for the following chunk; it is null once
+// everything has been sent. An optional minX/minY/maxX/maxY limits the items
+// to a region. `start` and `end` are the first and last timestamps overall.
+const HISTORY_CHUNK = 500;
+const MAX_HISTORY_CHUNK = 2000;
+
+api.get('/history', (req, res) => {
+    const { timeline } = req.room;
+    const hasRegion = ['minX', 'minY', 'maxX', 'maxY'].some(key => req.query[key] !== undefined);
+    const region = hasRegion ? parseRegion(req.query) : null;
+    if (hasRegion && !region) {
+        return res.status(400).json({ error: 'minX, minY, maxX and maxY must all be numbers' });
+    }
+    if (req.query.after && !parseCursor(req.query.after)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_CHUNK, 1), MAX_HISTORY_CHUNK);
+    const filter = region ? item => regionContains(region, item.x, item.y) : null;
+    const { items, next } = timeline.page(req.query.after, limit, filter);
+    const first = timeline.items[0];
+    const last = timeline.items[timeline.size - 1];
+
+    res.json({
+        items,
+        next,
+        total: timeline.size,
+        start: first ? first.timestamp || 0 : null,
+        end: last ? last.timestamp || 0 : null
+    });
+});
+
+// Exports: images of a region (or everything) and item archives.
+// Optional filters: minX/minY/maxX/maxY, from/to (ms timestamp or ISO date).
+// Images also take `scale`, output pixels per world unit.
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+function selectExportItems(room, query) {
+    const hasRegion = ['minX', 'minY', 'maxX', 'maxY'].some(key => query[key] !== undefined);
+    const region = hasRegion ? parseRegion(query) : null;
+    if (hasRegion && !region) return { error: 'minX, minY, maxX and maxY must all be numbers' };
+    if (region && regionTooLarge(region)) return { error: `Region must be at most ${MAX_REGION_SIZE} units on each side` };
+
+    const from = parseTime(query.from);
+    const to = parseTime(query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) return { error: 'from and to must be timestamps or dates' };
+
+    const candidates = region
+        ? room.spatialIndex.query(region.minX, region.minY, region.maxX, region.maxY)
+        : room.store.all();
+    const items = candidates.filter(item =>
+        !item.hidden &&
+        (!region || regionContains(region, item.x, item.y)) &&
+        (from === null || item.timestamp >= from) &&
+        (to === null || item.timestamp <= to)
+    ).sort((a, b) => a.timestamp - b.timestamp);
+
+    return { items, region: region || itemBounds(items) };
+}
+
+function exportRoute(ext, contentType, render) {
+    return (req, res) => {
+        if (!exportLimiter.take(req.ip)) {
+            return res.status(429).json({ error: 'Rate limit exceeded. Chill out.' });
+        }
+
+        const selection = selectExportItems(req.room, req.query);
+        if (selection.error) {
+            return res.status(400).json({ error: selection.error });
+        }
+
+        try {
+            const body = render(selection, req.query);
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="void-${req.room.name}-${stamp}.${ext}"`);
+            res.send(body);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Export failed' });
+        }
+    };
+}
+
+function exportScale(query) {
+    const scale = Number(query.scale);
+    return Number.isFinite(scale) && scale > 0 ? scale : 1;
+}
+
+api.get('/export/canvas.svg', exportRoute('svg', 'image/svg+xml',
+    ({ items, region }, query) => renderSvg(items, region, exportScale(query))));
+api.get('/export/canvas.png', exportRoute('png', 'image/png',
+    ({ items, region }, query) => renderPng(items, region, exportScale(query))));
+api.get('/export/items.json', exportRoute('json', 'application/json',
+    ({ items }) => JSON.stringify(items, null, 2)));
+api.get('/export/items.csv', exportRoute('csv', 'text/csv; charset=utf-8',
+    ({ items }) => toCsv(items)));
+
+// Search item text. Results are ranked by match quality, newest first
+// within the same score, and paged.
+const MAX_SEARCH_LIMIT = 50;
+
+api.get('/search', (req, res) => {
+    if (!searchLimiter.take(req.ip)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Chill out.' });
+    }
+
+    const { store, searchIndex } = req.room;
+    const q = String(req.query.q || '').slice(0, 100);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_SEARCH_LIMIT);
+    const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+
+    // No typo matching once exact and prefix matches fill the page
+    const results = searchIndex.search(q, (page + 1) * limit)
+        .map(({ id, score }) => ({ item: store.get(id), score }))
+        .filter(({ item }) => item && !item.hidden)
+        .sort((a, b) => b.score - a.score || b.item.timestamp - a.item.timestamp);
+
+    res.json({
+        total: results.length,
+        page,
+        limit,
+        results: results.slice(page * limit, (page + 1) * limit).map(({ item }) => item)
+    });
 });
 
+// Resolve an item id to the item and its position, for #item=<id> links
+api.get('/items/:id', (req, res) => {
+    const item = req.room.store.get(req.params.id);
+    if (!item || item.hidden) {
+        return res.status(404).json({ error: 'No such item' });
+    }
+    res.json({ item });
+});
+
+// Moderation and content editing, with an audit log per room
+const adminRouters = new Map(); // room name -> router
+
+function adminRouterFor(room) {
+    if (!adminRouters.has(room.name)) {
+        const audit = new AuditLog(path.join(room.dir, 'audit.log'));
+        const exclusive = fn => room.exclusive(fn);
+        const router = express.Router();
+
+        router.use('/content', createContentRouter({
+            token: config.adminToken,
+            content: room.content,
+            parent: room.content === sharedContent ? null : sharedContent,
+            audit,
+            exclusive,
+            active: () => room.activeContent(),
+            onChange: () => {
+                contentChanged(room);
+                bus.publish('content', { room: room.name });
+            }
+        }));
+
+        router.use(createAdminRouter({
+            token: config.adminToken,
+            store: room.store,
+            audit,
+            exclusive,
+            // Each right after the record is written, so store.seq is its seq
+            onHide: item => {
+                room.itemHidden(item);
+                broadcastItem(room, { type: 'remove_item', id: item.id, seq: room.store.seq }, item);
+            },
+            onRestore: item => {
+                room.itemRestored(item);
+                broadcastItem(room, { type: 'new_item', item, seq: room.store.seq }, item);
+            },
+            onDelete: item => {
+                room.itemDeleted(item);
+                broadcastItem(room, { type: 'remove_item', id: item.id, seq: room.store.seq }, item);
+            }
+        }));
+
+        adminRouters.set(room.name, router);
+    }
+    return adminRouters.get(room.name);
+}
+
+api.use('/admin', (req, res, next) => adminRouterFor(req.room)(req, res, next));
+
+app.use('/api/c/:room', useRoom, api);
+app.use('/api', useRoom, api);
+
 // Removed POST /api/submit as it is now handled via WebSocket
 
 server.listen(PORT, () => {
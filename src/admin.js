@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Moderation API. Every route needs `Authorization: Bearer <ADMIN_TOKEN>`;
+// without a configured token the whole API answers 503.
+//
+//   GET    /items?hidden=1&q=text&limit=&offset=   list items, newest first
+//   POST   /items/:id/hide                          hide from everyone
+//   POST   /items/:id/restore                       undo a hide
+//   DELETE /items/:id                               remove for good; refused
+//                                                   while it has replies
+//   GET    /audit?limit=                            recent moderation actions
+//
+// and popup/shape content (see content.js), mounted at /content:
+//
+//   GET    /content                       this level's categories and lines,
+//                                          plus what is on right now
+//   POST   /content/lines                 { text, category, weight, places }
+//   DELETE /content/lines/:id
+//   PUT    /content/categories/:name      { weight, schedule }
+//
+// `onHide(item)`, `onRestore(item)` and `onDelete(item)` let the server update
+// its indexes and tell connected clients; every change is written to the
+// audit log. Changes run inside `exclusive(fn)`, which holds the room's lock
+// when other server instances share the store.
+
+function requireToken(token) {
+    const expected = token ? Buffer.from(token) : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+        }
+
+        const header = req.get('authorization') || '';
+        const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    };
+}
+
+// A whole number from the query string, `fallback` if absent, or null if it
+// isn't one
+function queryInt(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (typeof value !== 'string' || !/^-?\d+$/.test(value)) return null;
+    return parseInt(value, 10);
+}
+
+function createAdminRouter({ token, store, audit, onHide, onRestore, onDelete, exclusive = fn => fn() }) {
+    const router = express.Router();
+    router.use(requireToken(token));
+
+    router.get('/items', (req, res) => {
+        const limit = queryInt(req.query.limit, 50);
+        const offset = queryInt(req.query.offset, 0);
+        if (limit === null || offset === null) {
+            return res.status(400).json({ error: 'limit and offset must be whole numbers' });
+        }
+        if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+            return res.status(400).json({ error: 'q must be given once' });
+        }
+        const q = String(req.query.q || '').toLowerCase();
+        const hiddenOnly = req.query.hidden === '1' || req.query.hidden === 'true';
+
+        const matches = store.query(item =>
+            (!hiddenOnly || item.hidden) && (!q || item.text.toLowerCase().includes(q))
+        ).reverse();
+
+        const start = Math.max(0, offset);
+        res.json({ total: matches.length, items: matches.slice(start, start + Math.min(Math.max(limit, 1), 500)) });
+    });
+
+    // `change(item)` returns true once done, false if the item already was in
+    // that state, or a message saying why it can't be done
+    function moderate(action, change) {
+        return async (req, res) => {
+            let item;
+            let result;
+            try {
+                result = await exclusive(() => {
+                    item = store.get(req.params.id);
+                    return item ? change(item) : false;
+                });
+            } catch (err) {
+                console.error(err);
+                return res.status(503).json({ error: 'Store unavailable, try again' });
+            }
+
+            if (!item) {
+                return res.status(404).json({ error: 'No such item' });
+            }
+            if (result !== true) {
+                const error = result || `Item is already ${action === 'hide' ? 'hidden' : 'visible'}`;
+                return res.status(409).json({ error });
+            }
+
+            audit.record(action, { id: item.id, text: item.text, by: req.ip, reason: req.body && req.body.reason });
+            res.json({ ok: true, item });
+        };
+    }
+
+    router.post('/items/:id/hide', moderate('hide', item => {
+        if (item.hidden) return false;
+        store.update(item.id, { hidden: true });
+        onHide(item);
+        return true;
+    }));
+
+    router.post('/items/:id/restore', moderate('restore', item => {
+        if (!item.hidden) return false;
+        store.update(item.id, { hidden: false });
+        onRestore(item);
+        return true;
+    }));
+
+    // Replies would be left pointing at nothing, so they have to go first
+    router.delete('/items/:id', moderate('delete', item => {
+        const replies = store.query(other => other.replyTo === item.id).length;
+        if (replies) return `Item has ${replies} ${replies === 1 ? 'reply' : 'replies'}; hide it, or delete those first`;
+        store.remove(item.id);
+        onDelete(item);
+        return true;
+    }));
+
+    router.get('/audit', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        res.json({ entries: audit.recent(limit) });
+    });
+
+    return router;
+}
+
+// `content` is the set this room edits and `parent` the shared one its lines
+// may take categories from (null for the default room, which edits the
+// shared set). `onChange()` pushes the new lines to clients.
+function createContentRouter({ token, content, parent, audit, active, onChange, exclusive = fn => fn() }) {
+    const router = express.Router();
+    router.use(requireToken(token));
+
+    router.get('/', (req, res) => {
+        res.json({
+            replace: content.replace,
+            categories: content.categories,
+            lines: content.lines,
+            active: active()
+        });
+    });
+
+    // `change` returns { error } or the fields to log and answer with
+    function edit(action, status, change) {
+        return async (req, res) => {
+            let result;
+            try {
+                result = await exclusive(() => change(req));
+            } catch (err) {
+                console.error(err);
+                return res.status(503).json({ error: 'Content unavailable, try again' });
+            }
+
+            if (result.error) {
+                return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+            }
+            audit.record(action, { ...result, by: req.ip });
+            onChange();
+            res.status(status).json({ ok: true, ...result });
+        };
+    }
+
+    router.post('/lines', edit('content-add', 201, req => content.addLine(req.body, parent)));
+
+    router.delete('/lines/:id', edit('content-remove', 200, req => {
+        const line = content.removeLine(req.params.id);
+        return line ? { line } : { error: 'No such line', notFound: true };
+    }));
+
+    router.put('/categories/:name', edit('content-category', 200, req => {
+        const result = content.setCategory(req.params.name, req.body);
+        return result.error ? result : { name: req.params.name, ...result };
+    }));
+
+    return router;
+}
+
+module.exports = { createAdminRouter, createContentRouter };
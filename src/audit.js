@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only record of moderation actions, one JSON object per line. The
+// file and its directory are created with the first entry.
+
+class AuditLog {
+    constructor(file) {
+        this.file = file;
+    }
+
+    record(action, details) {
+        const entry = { time: new Date().toISOString(), action, ...details };
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    // Most recent entries first
+    recent(limit = 100) {
+        if (!fs.existsSync(this.file)) return [];
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+        return lines.slice(-limit).reverse().map(line => JSON.parse(line));
+    }
+}
+
+module.exports = { AuditLog };
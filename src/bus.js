@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Event bus between server instances.
+//
+// Several server processes can serve the same rooms from one data directory.
+// Each publishes the changes it makes and applies the ones the others
+// publish:
+//
+//   bus.id                            this instance
+//   bus.connected                     false while cut off from the others
+//   bus.publish(channel, message)     send to every other instance
+//   bus.subscribe(channel, handler)   handler(message, from) for theirs
+//   bus.lock(name, fn)                run fn (sync or async) while no other
+//                                     instance holds `name`; resolves to
+//                                     what fn returns
+//   'connect' event                   joined the bus (again)
+//   'peer_gone' event (id)            an instance went away
+//
+// Messages from one instance arrive in the order they were published, and a
+// lock is only handed on once everything its previous holder published has
+// been delivered, so the new holder has seen every earlier change.
+//
+// MemoryBus is for a single process: on its own it has nobody to talk to and
+// its locks only order work inside the process. Instances created with the
+// same `hub` behave like separate servers, which is handy for trying things
+// out. NetBus (netbus.js) connects processes through a bus server.
+
+function newInstanceId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+// Runs lock holders one at a time, per lock name
+class LockQueue {
+    constructor() {
+        this.tails = new Map(); // name -> promise settled when the last holder is done
+    }
+
+    run(name, fn) {
+        const previous = this.tails.get(name) || Promise.resolve();
+        const result = previous.then(() => fn());
+        const tail = result.catch(() => {});
+        this.tails.set(name, tail);
+        tail.then(() => {
+            if (this.tails.get(name) === tail) this.tails.delete(name);
+        });
+        return result;
+    }
+}
+
+function createHub() {
+    return { members: new Set(), locks: new LockQueue() };
+}
+
+class MemoryBus extends EventEmitter {
+    constructor({ hub = createHub() } = {}) {
+        super();
+        this.id = newInstanceId();
+        this.hub = hub;
+        this.handlers = new Map(); // channel -> [handler]
+        this.connected = true;
+        hub.members.add(this);
+        setImmediate(() => this.emit('connect'));
+    }
+
+    publish(channel, message) {
+        // A copy, as if it had gone over the wire
+        const json = JSON.stringify(message);
+        this.hub.members.forEach(member => {
+            if (member !== this) member.deliver(channel, JSON.parse(json), this.id);
+        });
+    }
+
+    subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(handler);
+    }
+
+    deliver(channel, message, from) {
+        (this.handlers.get(channel) || []).forEach(handler => handler(message, from));
+    }
+
+    lock(name, fn) {
+        return this.hub.locks.run(name, fn);
+    }
+
+    close() {
+        this.hub.members.delete(this);
+        this.hub.members.forEach(member => member.emit('peer_gone', this.id));
+    }
+}
+
+module.exports = { MemoryBus, createHub, newInstanceId };
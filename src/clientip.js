@@ -0,0 +1,29 @@
+// Resolve the address of the client behind a request. X-Forwarded-For is only
+// believed when the direct peer is a trusted proxy, and then only as far back
+// as the first hop that is not itself trusted.
+
+function normalizeIp(ip) {
+    return ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function parseTrustedProxies(value) {
+    return new Set((value || '').split(',').map(s => normalizeIp(s.trim())).filter(Boolean));
+}
+
+function getClientIp(req, trustedProxies) {
+    let ip = normalizeIp(req.socket.remoteAddress);
+    if (!trustedProxies.has(ip)) return ip;
+
+    const header = req.headers['x-forwarded-for'];
+    if (!header) return ip;
+
+    // Walk right to left: the rightmost entries were added by our own proxies
+    const hops = header.split(',').map(s => normalizeIp(s.trim())).filter(Boolean);
+    while (hops.length) {
+        ip = hops.pop();
+        if (!trustedProxies.has(ip)) break;
+    }
+    return ip;
+}
+
+module.exports = { getClientIp, parseTrustedProxies, normalizeIp };
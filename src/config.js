@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { COLORS, GAP, MAX_ATTEMPTS } = require('./placement');
+
+// Server settings, from defaults, then a JSON config file, then environment
+// variables. The file is CONFIG_FILE, or config.json next to server.js if
+// there is one (see config.example.json). Everything is checked up front;
+// loadConfig() throws with every problem it found rather than starting with
+// a bad value.
+//
+//   key              env                      default
+//   port             PORT                     3000
+//   dataDir          DATA_DIR                 ./data, gets a copy of the shipped
+//                                            filter.json and content.json if it
+//                                            lacks them
+//   adminToken       ADMIN_TOKEN              none, admin API off
+//   trustedProxies   TRUSTED_PROXIES          none (comma-separated IPs)
+//   eventBus         EVENT_BUS                none (tcp://host:port)
+//   maxRooms         MAX_ROOMS                100
+//   maxTextLength    MAX_TEXT_LENGTH          67, rooms can override it
+//   placement.gap          PLACEMENT_GAP           500, width of the ring new items land in
+//   placement.maxAttempts  PLACEMENT_MAX_ATTEMPTS  5000
+//   placement.colors       PLACEMENT_COLORS        the 2000s palette (comma-separated #rrggbb)
+//   rateLimits       file only   { submit: { ip, conn }, viewport, ... } where each
+//                                bucket is { capacity, refillPerSec }
+//   exportLimit      file only   one bucket, per IP
+//   searchLimit      file only   one bucket, per IP
+//   floodLimit       file only   one bucket, refused messages per connection
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+    port: 3000,
+    dataDir: path.join(ROOT, 'data'),
+    adminToken: null,
+    trustedProxies: [],
+    eventBus: null,
+    maxRooms: 100,
+    maxTextLength: 67,
+    placement: {
+        gap: GAP,
+        maxAttempts: MAX_ATTEMPTS,
+        colors: COLORS
+    },
+    rateLimits: {
+        submit: {
+            ip: { capacity: 5, refillPerSec: 0.5 },
+            conn: { capacity: 3, refillPerSec: 0.5 }
+        },
+        viewport: {
+            ip: { capacity: 60, refillPerSec: 30 },
+            conn: { capacity: 20, refillPerSec: 10 }
+        },
+        react: {
+            ip: { capacity: 10, refillPerSec: 2 },
+            conn: { capacity: 10, refillPerSec: 2 }
+        },
+        cursor: {
+            ip: { capacity: 60, refillPerSec: 30 },
+            conn: { capacity: 20, refillPerSec: 15 }
+        },
+        profile: {
+            ip: { capacity: 5, refillPerSec: 0.2 },
+            conn: { capacity: 3, refillPerSec: 0.1 }
+        },
+        locate: {
+            ip: { capacity: 10, refillPerSec: 2 },
+            conn: { capacity: 5, refillPerSec: 1 }
+        }
+    },
+    // Exports render the whole canvas, so they get a tight per-IP budget
+    exportLimit: { capacity: 6, refillPerSec: 1 / 10 },
+    // Fuzzy search compares every query word with every word on the canvas
+    searchLimit: { capacity: 10, refillPerSec: 1 },
+    // Refused messages a connection may rack up before it is disconnected
+    floodLimit: { capacity: 50, refillPerSec: 1 }
+};
+
+// Settings that can come from the environment, and how to read them
+const ENV = {
+    port: ['PORT', 'integer'],
+    dataDir: ['DATA_DIR', 'string'],
+    adminToken: ['ADMIN_TOKEN', 'string'],
+    trustedProxies: ['TRUSTED_PROXIES', 'list'],
+    eventBus: ['EVENT_BUS', 'string'],
+    maxRooms: ['MAX_ROOMS', 'integer'],
+    maxTextLength: ['MAX_TEXT_LENGTH', 'integer'],
+    'placement.gap': ['PLACEMENT_GAP', 'number'],
+    'placement.maxAttempts': ['PLACEMENT_MAX_ATTEMPTS', 'integer'],
+    'placement.colors': ['PLACEMENT_COLORS', 'list']
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge for plain objects; arrays and everything else are replaced
+function merge(base, override) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        out[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return out;
+}
+
+function setPath(target, dotted, value) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        if (!isObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+// Env vars are strings; numbers that don't parse are left for validate() to
+// report
+function fromEnv(env) {
+    const out = {};
+    for (const [key, [name, type]] of Object.entries(ENV)) {
+        const raw = env[name];
+        if (raw === undefined || raw === '') continue;
+        let value = raw;
+        if (type === 'integer' || type === 'number') value = Number(raw);
+        else if (type === 'list') value = raw.split(',').map(s => s.trim()).filter(Boolean);
+        setPath(out, key, value);
+    }
+    return out;
+}
+
+function checkBucket(bucket, name, errors) {
+    if (!isObject(bucket)) {
+        errors.push(`${name} must be { capacity, refillPerSec }`);
+        return;
+    }
+    if (!Number.isInteger(bucket.capacity) || bucket.capacity < 1) {
+        errors.push(`${name}.capacity must be a positive integer`);
+    }
+    if (typeof bucket.refillPerSec !== 'number' || !(bucket.refillPerSec > 0)) {
+        errors.push(`${name}.refillPerSec must be a positive number`);
+    }
+}
+
+function validate(config) {
+    const errors = [];
+    const positiveInteger = (value, name) => {
+        if (!Number.isInteger(value) || value < 1) errors.push(`${name} must be a positive integer`);
+    };
+
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        errors.push('port must be an integer from 1 to 65535');
+    }
+    if (typeof config.dataDir !== 'string' || !config.dataDir) errors.push('dataDir must be a path');
+    if (config.adminToken !== null && (typeof config.adminToken !== 'string' || config.adminToken.length < 8)) {
+        errors.push('adminToken must be a string of at least 8 characters');
+    }
+    if (!Array.isArray(config.trustedProxies) || !config.trustedProxies.every(ip => typeof ip === 'string')) {
+        errors.push('trustedProxies must be a list of IP addresses');
+    }
+    if (config.eventBus !== null && !/^tcp:\/\/[^:/]+:\d+$/.test(config.eventBus)) {
+        errors.push('eventBus must look like tcp://host:port');
+    }
+    positiveInteger(config.maxRooms, 'maxRooms');
+    positiveInteger(config.maxTextLength, 'maxTextLength');
+
+    const { gap, maxAttempts, colors } = config.placement;
+    if (typeof gap !== 'number' || !(gap > 0)) errors.push('placement.gap must be a positive number');
+    positiveInteger(maxAttempts, 'placement.maxAttempts');
+    if (!Array.isArray(colors) || !colors.length || !colors.every(c => /^#[0-9a-f]{6}$/i.test(c))) {
+        errors.push('placement.colors must be a list of #rrggbb colors');
+    }
+
+    for (const [kind, limits] of Object.entries(config.rateLimits)) {
+        if (!(kind in DEFAULTS.rateLimits)) {
+            errors.push(`rateLimits.${kind} is not a kind of message`);
+            continue;
+        }
+        checkBucket(limits.ip, `rateLimits.${kind}.ip`, errors);
+        checkBucket(limits.conn, `rateLimits.${kind}.conn`, errors);
+    }
+    checkBucket(config.exportLimit, 'exportLimit', errors);
+    checkBucket(config.searchLimit, 'searchLimit', errors);
+    checkBucket(config.floodLimit, 'floodLimit', errors);
+
+    return errors;
+}
+
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+    const configFile = file || path.join(ROOT, 'config.json');
+    let fromFile = {};
+    if (fs.existsSync(configFile)) {
+        try {
+            fromFile = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`Config: cannot read ${configFile}: ${err.message}`);
+        }
+        if (!isObject(fromFile)) throw new Error(`Config: ${configFile} must hold a JSON object`);
+        const unknown = Object.keys(fromFile).filter(key => !(key in DEFAULTS));
+        if (unknown.length) throw new Error(`Config: unknown settings in ${configFile}: ${unknown.join(', ')}`);
+    } else if (file) {
+        throw new Error(`Config: ${configFile} does not exist`);
+    }
+
+    const config = merge(merge(DEFAULTS, fromFile), fromEnv(env));
+    config.dataDir = path.resolve(ROOT, config.dataDir);
+
+    const errors = validate(config);
+    if (errors.length) {
+        throw new Error(`Config: invalid settings:\n  ${errors.join('\n  ')}`);
+    }
+    return config;
+}
+
+module.exports = { loadConfig, DEFAULTS };
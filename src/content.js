@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Lines of text for the popups and ground shapes clients spawn for fun.
+//
+// content.json in the data directory holds the lines every room gets (a
+// copy of data/content.default.json to begin with):
+//
+//   categories  { name: { weight, schedule } } where schedule is an optional
+//               { from: 'MM-DD', to: 'MM-DD' } (UTC, inclusive, may wrap
+//               past new year); outside it the category is switched off
+//   lines       [{ id, text, category, weight, places }] where weight
+//               defaults to 1 and places to ['popup', 'shape']
+//
+// A named room can have its own content.json in its directory. Its lines
+// come on top of the shared ones (or instead of them with "replace": true)
+// and its categories override the shared ones of the same name, so a room
+// can switch one off with a weight of 0.
+//
+// Clients get the lines that are on right now, each with the weight of its
+// category times its own, and pick from them at random.
+
+const PLACES = ['popup', 'shape'];
+const MAX_LINE_LENGTH = 100;
+const MAX_WEIGHT = 100;
+const CATEGORY_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DAY = /^(\d\d)-(\d\d)$/;
+
+function newLineId() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+function isWeight(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_WEIGHT;
+}
+
+function parseDay(value) {
+    const match = DAY.exec(value);
+    if (!match) return null;
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return month * 100 + day;
+}
+
+// Returns an error message, or null if the category is fine
+function checkCategory(category) {
+    if (!category || typeof category !== 'object') return 'must be an object';
+    if (!isWeight(category.weight)) return `weight must be a number from 0 to ${MAX_WEIGHT}`;
+    if (category.schedule !== undefined) {
+        const { from, to } = category.schedule || {};
+        if (parseDay(from) === null || parseDay(to) === null) {
+            return 'schedule must be { from: "MM-DD", to: "MM-DD" }';
+        }
+    }
+    return null;
+}
+
+// Returns an error message, or null if the line is fine
+function checkLine(line, hasCategory) {
+    if (typeof line.text !== 'string') return 'text must be a string';
+    const text = line.text.trim();
+    if (!text || text.length > MAX_LINE_LENGTH) return `text must be 1 to ${MAX_LINE_LENGTH} characters`;
+    if (/[\u0000-\u001f\u007f]/.test(text)) return 'text must not contain control characters';
+    if (typeof line.category !== 'string' || !hasCategory(line.category)) return 'category does not exist';
+    if (line.weight !== undefined && !isWeight(line.weight)) return `weight must be a number from 0 to ${MAX_WEIGHT}`;
+    if (line.places !== undefined) {
+        if (!Array.isArray(line.places) || !line.places.length || !line.places.every(place => PLACES.includes(place))) {
+            return `places must list some of ${PLACES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+function isScheduledOn(schedule, date) {
+    if (!schedule) return true;
+    const today = (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+    const from = parseDay(schedule.from);
+    const to = parseDay(schedule.to);
+    // 12-20 to 01-05 runs over new year
+    return from <= to ? today >= from && today <= to : today >= from || today <= to;
+}
+
+// One content.json. A missing file is an empty set.
+class ContentSet {
+    constructor(file) {
+        this.file = file;
+        this.replace = false;
+        this.categories = {};
+        this.lines = [];
+    }
+
+    // Throws if the file is unreadable or invalid. `parent` is the shared
+    // set, for categories a room's lines may use.
+    load(parent = null) {
+        if (!fs.existsSync(this.file)) return this;
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        const categories = data.categories || {};
+        const lines = data.lines || [];
+
+        for (const [name, category] of Object.entries(categories)) {
+            const error = CATEGORY_NAME.test(name) ? checkCategory(category) : 'invalid name';
+            if (error) throw new Error(`Content: category ${name} in ${this.file}: ${error}`);
+        }
+        const hasCategory = name => Object.hasOwn(categories, name) || (parent !== null && Object.hasOwn(parent.categories, name));
+        const ids = new Set();
+        lines.forEach((line, i) => {
+            const error = typeof line.id !== 'string' || ids.has(line.id)
+                ? 'needs a unique id'
+                : checkLine(line, hasCategory);
+            if (error) throw new Error(`Content: line ${i} in ${this.file}: ${error}`);
+            ids.add(line.id);
+        });
+
+        this.replace = data.replace === true;
+        this.categories = categories;
+        this.lines = lines;
+        return this;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const data = { categories: this.categories, lines: this.lines };
+        if (this.replace) data.replace = true;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+        fs.renameSync(tmp, this.file);
+    }
+
+    // Returns { line } or { error }
+    addLine(input, parent = null) {
+        const hasCategory = name => Object.hasOwn(this.categories, name) || (parent !== null && Object.hasOwn(parent.categories, name));
+        const error = checkLine(input || {}, hasCategory);
+        if (error) return { error };
+
+        const line = { id: newLineId(), text: input.text.trim(), category: input.category };
+        if (input.weight !== undefined) line.weight = input.weight;
+        if (input.places !== undefined) line.places = Array.from(new Set(input.places));
+        this.lines.push(line);
+        this.save();
+        return { line };
+    }
+
+    // The removed line, or null if there was none
+    removeLine(id) {
+        const index = this.lines.findIndex(line => line.id === id);
+        if (index === -1) return null;
+        const [line] = this.lines.splice(index, 1);
+        this.save();
+        return line;
+    }
+
+    // Returns { category } or { error }
+    setCategory(name, input) {
+        if (!CATEGORY_NAME.test(name)) return { error: 'invalid category name' };
+        const error = checkCategory(input);
+        if (error) return { error };
+
+        const category = { weight: input.weight };
+        if (input.schedule !== undefined) category.schedule = { from: input.schedule.from, to: input.schedule.to };
+        this.categories[name] = category;
+        this.save();
+        return { category };
+    }
+}
+
+// One-time import of the old flat data/dataset.json list into `category`.
+// The original file is kept next to it with a .migrated suffix.
+function migrateDataset(shared, file, category) {
+    const texts = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(texts)) {
+        throw new Error(`Content: ${file} is not an array, refusing to migrate`);
+    }
+
+    const known = new Set(shared.lines.map(line => line.text));
+    let added = 0;
+    for (const text of texts) {
+        if (typeof text !== 'string' || known.has(text.trim())) continue;
+        const { error } = shared.addLine({ text, category });
+        if (error) console.warn(`Content: skipped "${text}" from ${path.basename(file)}: ${error}`);
+        else added++;
+    }
+    fs.renameSync(file, `${file}.migrated`);
+    console.log(`Content: migrated ${added} lines from ${path.basename(file)}`);
+}
+
+// The lines that are on at `date` for a room with `override` (or null),
+// as { popup: [{ text, weight }], shape: [...] }
+function activeContent(shared, override, date = new Date()) {
+    const categories = { ...shared.categories, ...(override ? override.categories : {}) };
+    const lines = override
+        ? (override.replace ? override.lines : shared.lines.concat(override.lines))
+        : shared.lines;
+
+    const active = { popup: [], shape: [] };
+    for (const line of lines) {
+        // Own keys only, not ones like `constructor`
+        const category = Object.hasOwn(categories, line.category) ? categories[line.category] : null;
+        if (!category || !isScheduledOn(category.schedule, date)) continue;
+        const weight = category.weight * (line.weight === undefined ? 1 : line.weight);
+        if (weight <= 0) continue;
+        for (const place of line.places || PLACES) {
+            active[place].push({ text: line.text, weight });
+        }
+    }
+    return active;
+}
+
+module.exports = { ContentSet, activeContent, migrateDataset, PLACES };
@@ -0,0 +1,83 @@
+// Item density over the whole canvas, for the minimap.
+//
+// Counts are kept per fine cell as items come and go. snapshot() folds them
+// into a grid of at most `resolution` x `resolution` bins covering
+// everything, and caches the result until the next change.
+
+const CELL_SIZE = 250;
+const RESOLUTION = 64;
+
+class DensityGrid {
+    constructor({ cellSize = CELL_SIZE, resolution = RESOLUTION } = {}) {
+        this.cellSize = cellSize;
+        this.resolution = resolution;
+        this.cells = new Map(); // "cx,cy" -> count
+        this.cached = null;
+    }
+
+    key(item) {
+        return `${Math.floor(item.x / this.cellSize)},${Math.floor(item.y / this.cellSize)}`;
+    }
+
+    add(item) {
+        const key = this.key(item);
+        this.cells.set(key, (this.cells.get(key) || 0) + 1);
+        this.cached = null;
+    }
+
+    remove(item) {
+        const key = this.key(item);
+        const count = (this.cells.get(key) || 0) - 1;
+        if (count > 0) this.cells.set(key, count);
+        else this.cells.delete(key);
+        this.cached = null;
+    }
+
+    // { minX, minY, binSize, cols, rows, max, counts } with counts row-major
+    snapshot() {
+        if (this.cached) return this.cached;
+
+        let minCx = Infinity, minCy = Infinity, maxCx = -Infinity, maxCy = -Infinity;
+        const parsed = [];
+        for (const [key, count] of this.cells) {
+            const [cx, cy] = key.split(',').map(Number);
+            parsed.push({ cx, cy, count });
+            if (cx < minCx) minCx = cx;
+            if (cy < minCy) minCy = cy;
+            if (cx > maxCx) maxCx = cx;
+            if (cy > maxCy) maxCy = cy;
+        }
+
+        if (!parsed.length) {
+            this.cached = { minX: 0, minY: 0, binSize: this.cellSize, cols: 0, rows: 0, max: 0, counts: [] };
+            return this.cached;
+        }
+
+        // Square bins, as many fine cells per bin as it takes to fit
+        const span = Math.max(maxCx - minCx, maxCy - minCy) + 1;
+        const cellsPerBin = Math.max(1, Math.ceil(span / this.resolution));
+        const cols = Math.floor((maxCx - minCx) / cellsPerBin) + 1;
+        const rows = Math.floor((maxCy - minCy) / cellsPerBin) + 1;
+        const counts = new Array(cols * rows).fill(0);
+        let max = 0;
+
+        for (const { cx, cy, count } of parsed) {
+            const i = Math.floor((cy - minCy) / cellsPerBin) * cols + Math.floor((cx - minCx) / cellsPerBin);
+            counts[i] += count;
+            if (counts[i] > max) max = counts[i];
+        }
+
+        this.cached = {
+            minX: minCx * this.cellSize,
+            minY: minCy * this.cellSize,
+            binSize: cellsPerBin * this.cellSize,
+            cols,
+            rows,
+            max,
+            counts
+        };
+        return this.cached;
+    }
+}
+
+module.exports = { DensityGrid };
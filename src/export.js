@@ -0,0 +1,104 @@
+const { getFontIndex, getFontFamily, hashCode } = require('./textmetrics');
+const { getItemSize } = require('./geometry');
+const { COLORS } = require('./placement');
+
+// Snapshots of the canvas: SVG/PNG images of a region and JSON/CSV archives
+// of the items in it.
+
+const EXPORT_PADDING = 50; // World units around the items when no region is given
+const MAX_IMAGE_PX = 4096; // Longest side of an exported image
+
+// Characters XML 1.0 has no place for, e.g. control characters in items
+// stored before submits refused them
+const NOT_XML = /[^\t\n\r\u0020-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu;
+
+function escapeXml(text) {
+    return text.replace(NOT_XML, '')
+        .replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[ch]);
+}
+
+// Same fallback as the client for items stored without a color
+function itemColor(item) {
+    if (item.color) return item.color;
+    return COLORS[Math.abs(hashCode(item.text + (item.timestamp || ''))) % COLORS.length];
+}
+
+// Bounding box of the items, padded; a small square at the origin if none
+function itemBounds(items) {
+    if (!items.length) {
+        return { minX: -EXPORT_PADDING, minY: -EXPORT_PADDING, maxX: EXPORT_PADDING, maxY: EXPORT_PADDING };
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const item of items) {
+        const { width, height } = getItemSize(item);
+        const r = Math.max(width, height) / 2;
+        minX = Math.min(minX, item.x - r);
+        minY = Math.min(minY, item.y - r);
+        maxX = Math.max(maxX, item.x + r);
+        maxY = Math.max(maxY, item.y + r);
+    }
+    return {
+        minX: minX - EXPORT_PADDING,
+        minY: minY - EXPORT_PADDING,
+        maxX: maxX + EXPORT_PADDING,
+        maxY: maxY + EXPORT_PADDING
+    };
+}
+
+// `scale` is output pixels per world unit, capped so the image stays within
+// MAX_IMAGE_PX on its longest side
+function renderSvg(items, region, scale = 1) {
+    const width = region.maxX - region.minX;
+    const height = region.maxY - region.minY;
+    const k = Math.min(scale, MAX_IMAGE_PX / Math.max(width, height));
+    const pxW = Math.max(1, Math.round(width * k));
+    const pxH = Math.max(1, Math.round(height * k));
+
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${pxW}" height="${pxH}" viewBox="${region.minX} ${region.minY} ${width} ${height}">`,
+        `<rect x="${region.minX}" y="${region.minY}" width="${width}" height="${height}" fill="#ffffff"/>`
+    ];
+
+    for (const item of items) {
+        const family = escapeXml(getFontFamily(getFontIndex(item.text)));
+        const text = escapeXml(item.text);
+        const attrs = `font-size="${item.fontSize}" font-family="${family}" text-anchor="middle" dominant-baseline="central"`;
+        lines.push(
+            `<g transform="translate(${item.x} ${item.y}) rotate(${item.rotation})">` +
+            // Same 1px grey shadow as .canvas-item
+            `<text x="1" y="1" fill="#cccccc" ${attrs}>${text}</text>` +
+            `<text x="0" y="0" fill="${escapeXml(itemColor(item))}" ${attrs}>${text}</text>` +
+            '</g>'
+        );
+    }
+
+    lines.push('</svg>');
+    return lines.join('\n');
+}
+
+function renderPng(items, region, scale = 1) {
+    // Loaded on first use; only PNG export needs the native renderer
+    const { Resvg } = require('@resvg/resvg-js');
+    const svg = renderSvg(items, region, scale);
+    return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'Arial' } }).render().asPng();
+}
+
+const CSV_COLUMNS = ['id', 'text', 'x', 'y', 'rotation', 'fontSize', 'color', 'width', 'height', 'timestamp', 'replyTo', 'reactions'];
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating submitted text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(items) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const item of items) {
+        rows.push(CSV_COLUMNS.map(col => csvCell(item[col])).join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+module.exports = { renderSvg, renderPng, toCsv, itemBounds };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+
+// Configurable content filter, driven by data/filter.json:
+//
+//   words       block a token that is exactly this word
+//   prefixes    block a token starting with this (kill -> killing, killer)
+//   substrings  block a token containing this anywhere (motherfucker)
+//   patterns    [{ name, regex }] tested against the whole normalized text
+//   allow       tokens that never match words, prefixes or substrings
+//   leet        single-character substitutions (1 -> i, $ -> s, ...)
+//   confusables lookalike letters from other scripts (Cyrillic а -> a, ...)
+//
+// Before matching, text is NFKD-folded (fullwidth and accented letters),
+// lowercased, run through confusables and leet, and split into letter-only
+// tokens. For words and the allowlist, runs of a repeated letter are
+// squeezed to one on both sides, so "fuuuck" meets "fuck". Prefixes and
+// substrings let any letter repeat too, but one their entry doubles has to be
+// doubled in the text as well: "kill" catches "kiiilll" and "killing", not
+// "kilometer". Single letters in a row are also tried joined together, to
+// catch "f u c k".
+//
+// The file is watched; edits are picked up without a restart as long as the
+// new version loads. test/filter.test.js checks the shipped config against
+// known false positives and bypasses.
+
+const ZERO_WIDTH = /[\u200b-\u200f\u2060\ufeff]/g;
+const COMBINING = /[\u0300-\u036f]/g;
+const NON_LETTERS = /[^\p{L}]+/u;
+
+function squeeze(str) {
+    return str.replace(/(.)\1+/gu, '$1');
+}
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "kill" -> /k+i+l{2,}/: each letter may repeat, but no fewer times than in
+// the entry
+function runsPattern(key) {
+    return key.replace(/(.)\1*/gu, (run, ch) => {
+        const count = [...run].length;
+        return escapeRegex(ch) + (count > 1 ? `{${count},}` : '+');
+    });
+}
+
+function compile(config) {
+    const leet = config.leet || {};
+    const confusables = config.confusables || {};
+
+    function normalize(text) {
+        let out = '';
+        const folded = text.normalize('NFKD').replace(COMBINING, '').replace(ZERO_WIDTH, '').toLowerCase();
+        for (const ch of folded) {
+            const plain = confusables[ch] || ch;
+            out += leet[plain] || plain;
+        }
+        return out;
+    }
+
+    // Rule entries get the same treatment as the text they are matched
+    // against; `value` keeps the entry as written for reporting
+    const prepare = list => (list || []).map(value => ({ key: squeeze(normalize(value)), value }));
+    const prepareRuns = (list, anchor) => (list || []).map(value => ({
+        regex: new RegExp(anchor + runsPattern(normalize(value)), 'u'),
+        value
+    }));
+
+    return {
+        normalize,
+        words: new Map(prepare(config.words).map(w => [w.key, w.value])),
+        prefixes: prepareRuns(config.prefixes, '^'),
+        substrings: prepareRuns(config.substrings, ''),
+        allow: new Set(prepare(config.allow).map(w => w.key)),
+        patterns: (config.patterns || []).map(p => ({ name: p.name, regex: new RegExp(p.regex, 'iu') }))
+    };
+}
+
+// Tokens as { text, raw }: squeezed and as written
+function tokensOf(normalized) {
+    const tokens = normalized.split(NON_LETTERS).filter(Boolean).map(raw => ({ text: squeeze(raw), raw }));
+
+    // Glue runs of single letters back together: "f u c k" -> "fuck"
+    const joined = [];
+    let run = '';
+    const endRun = () => {
+        if ([...squeeze(run)].length > 1) joined.push({ text: squeeze(run), raw: run });
+        run = '';
+    };
+    for (const token of tokens) {
+        if ([...token.text].length === 1) {
+            run += token.raw;
+            continue;
+        }
+        endRun();
+    }
+    endRun();
+
+    return tokens.concat(joined);
+}
+
+// Returns null for clean text, or { rule, type, value, match } for the first
+// rule that fired
+function match(rules, text) {
+    const normalized = rules.normalize(text);
+
+    for (const { text: token, raw } of tokensOf(normalized)) {
+        if (rules.allow.has(token)) continue;
+
+        if (rules.words.has(token)) {
+            const value = rules.words.get(token);
+            return { rule: `words:${value}`, type: 'words', value, match: token };
+        }
+        for (const { regex, value } of rules.prefixes) {
+            if (regex.test(raw)) {
+                return { rule: `prefixes:${value}`, type: 'prefixes', value, match: token };
+            }
+        }
+        for (const { regex, value } of rules.substrings) {
+            if (regex.test(raw)) {
+                return { rule: `substrings:${value}`, type: 'substrings', value, match: token };
+            }
+        }
+    }
+
+    for (const { name, regex } of rules.patterns) {
+        const found = normalized.match(regex) || squeeze(normalized).match(regex);
+        if (found) {
+            return { rule: `patterns:${name}`, type: 'patterns', value: name, match: found[0] };
+        }
+    }
+
+    return null;
+}
+
+class ContentFilter {
+    constructor(file) {
+        this.file = file;
+        this.rules = null;
+    }
+
+    // Throws if the file is unreadable or invalid
+    load() {
+        const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.rules = compile(config);
+        return this;
+    }
+
+    watch(interval = 2000) {
+        fs.watchFile(this.file, { interval }, (curr, prev) => {
+            if (curr.mtimeMs === prev.mtimeMs) return;
+            try {
+                this.load();
+                console.log(`Filter: reloaded ${this.file}`);
+            } catch (err) {
+                console.error(`Filter: keeping previous rules, reload failed: ${err.message}`);
+            }
+        });
+        return this;
+    }
+
+    unwatch() {
+        fs.unwatchFile(this.file);
+    }
+
+    check(text) {
+        return match(this.rules, text);
+    }
+}
+
+module.exports = { ContentFilter };
@@ -0,0 +1,113 @@
+const { measureText } = require('./textmetrics');
+
+// Collision geometry for canvas items. Items are treated as rotated
+// rectangles around their (x, y) centre and tested with the separating axis
+// theorem.
+
+function getRotatedRectCorners(cx, cy, w, h, angleDeg) {
+    const angleRad = angleDeg * (Math.PI / 180);
+    const cos = Math.cos(angleRad);
+    const sin = Math.sin(angleRad);
+
+    // Half dimensions (with padding)
+    const hw = (w / 2) + 10; // 10px padding
+    const hh = (h / 2) + 10;
+
+    // Corners relative to center
+    // TL, TR, BR, BL
+    const corners = [
+        { x: -hw, y: -hh },
+        { x: hw, y: -hh },
+        { x: hw, y: hh },
+        { x: -hw, y: hh }
+    ];
+
+    // Rotate and translate
+    return corners.map(p => ({
+        x: (p.x * cos - p.y * sin) + cx,
+        y: (p.x * sin + p.y * cos) + cy
+    }));
+}
+
+function doPolygonsIntersect(a, b) {
+    const polygons = [a, b];
+
+    for (let i = 0; i < polygons.length; i++) {
+        const polygon = polygons[i];
+        for (let j = 0; j < polygon.length; j++) {
+            const p1 = polygon[j];
+            const p2 = polygon[(j + 1) % polygon.length];
+
+            // Normal (axis)
+            const normal = { x: -(p2.y - p1.y), y: p2.x - p1.x };
+
+            // Project both polygons
+            let minA = Infinity, maxA = -Infinity;
+            for (const p of a) {
+                const projected = normal.x * p.x + normal.y * p.y;
+                if (projected < minA) minA = projected;
+                if (projected > maxA) maxA = projected;
+            }
+
+            let minB = Infinity, maxB = -Infinity;
+            for (const p of b) {
+                const projected = normal.x * p.x + normal.y * p.y;
+                if (projected < minB) minB = projected;
+                if (projected > maxB) maxB = projected;
+            }
+
+            // Check for gap
+            if (maxA < minB || maxB < minA) {
+                return false; // Separating axis found
+            }
+        }
+    }
+    return true;
+}
+
+// Items carry their measured box since placement (or the startup backfill);
+// measure on the fly for anything that does not
+function getItemSize(item) {
+    if (item.width !== undefined && item.height !== undefined) {
+        return { width: item.width, height: item.height };
+    }
+    return measureText(item.text, item.fontSize);
+}
+
+function getItemPolygon(item) {
+    const { width, height } = getItemSize(item);
+    return getRotatedRectCorners(item.x, item.y, width, height, item.rotation);
+}
+
+function getPolygonBounds(poly) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of poly) {
+        if (p.x < minX) minX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y > maxY) maxY = p.y;
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+// Linear scan against every item. Kept for small sets and as the baseline
+// in scripts/bench-placement.js; the server uses SpatialGrid.collides.
+function checkCollision(newItem, existingItems) {
+    const newPoly = getItemPolygon(newItem);
+
+    for (const item of existingItems) {
+        if (doPolygonsIntersect(newPoly, getItemPolygon(item))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    getRotatedRectCorners,
+    doPolygonsIntersect,
+    getItemSize,
+    getItemPolygon,
+    getPolygonBounds,
+    checkCollision
+};
@@ -0,0 +1,155 @@
+// Counters, gauges and histograms for GET /metrics, written out in the
+// Prometheus text format (version 0.0.4). Labels are a plain object, e.g.
+// counter.inc({ reason: 'filter' }); a metric without labels takes none.
+//
+// Gauges are usually read when scraped: pass `collect`, returning a number
+// or a list of [labels, value] pairs.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, for placement and other work done while handling a message
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels = {}) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+        this.values = new Map(); // labelKey -> { labels, value }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = this.values.get(key);
+        if (entry) entry.value += amount;
+        else this.values.set(key, { labels, value: amount });
+    }
+
+    lines() {
+        const lines = [];
+        this.values.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        // An untouched counter without labels still reads 0
+        if (!lines.length) lines.push(`${this.name} 0`);
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super(name, help, 'gauge');
+        this.collect = collect;
+    }
+
+    lines() {
+        const value = this.collect();
+        const pairs = Array.isArray(value) ? value : [[{}, value]];
+        return pairs.map(([labels, v]) => `${this.name}${formatLabels(labels)} ${formatValue(v)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super(name, help, 'histogram');
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.values = new Map(); // labelKey -> { labels, counts, sum, count }
+    }
+
+    observe(value, labels = {}) {
+        const key = labelKey(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    lines() {
+        const entries = this.values.size
+            ? Array.from(this.values.values())
+            : [{ labels: {}, counts: this.buckets.map(() => 0), sum: 0, count: 0 }];
+        const lines = [];
+        for (const { labels, counts, sum, count } of entries) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.add(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.add(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.add(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Seconds since `start`, a process.hrtime.bigint()
+function secondsSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, secondsSince, CONTENT_TYPE };
@@ -0,0 +1,245 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+const { newInstanceId } = require('./bus');
+
+// The event bus over TCP, for server instances in separate processes. One
+// bus server (scripts/bus-server.js) relays messages and hands out locks;
+// every instance keeps a connection to it. Lines of JSON both ways:
+//
+//   instance -> bus   { op: 'hello', id }
+//                     { op: 'pub', channel, msg }
+//                     { op: 'lock', name, ref }
+//                     { op: 'unlock', name, ref }
+//   bus -> instance   { op: 'msg', channel, msg, from }
+//                     { op: 'granted', ref }
+//                     { op: 'gone', id }
+//
+// The bus server handles each connection's lines in order and grants a lock
+// only after the previous holder's unlock, which comes after everything that
+// holder published. Locks held by an instance that disconnects are released
+// and the others are told it is gone.
+//
+// While the connection is down, publishes are dropped and lock() fails, so
+// nothing is placed without the lock. NetBus reconnects with backoff.
+
+const LOCK_TIMEOUT_MS = 5000;
+const RECONNECT_BASE = 500;
+const RECONNECT_MAX = 10000;
+const MAX_LINE_BYTES = 1024 * 1024;
+
+// Calls onLine for every complete line read from the socket
+function readLines(socket, onLine) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 1);
+            if (line) onLine(line);
+        }
+        if (buffer.length > MAX_LINE_BYTES) {
+            console.warn('Bus: line too long, dropping connection');
+            socket.destroy();
+        }
+    });
+}
+
+function writeLine(socket, data) {
+    socket.write(JSON.stringify(data) + '\n');
+}
+
+class NetBus extends EventEmitter {
+    constructor({ host = '127.0.0.1', port, lockTimeoutMs = LOCK_TIMEOUT_MS }) {
+        super();
+        this.id = newInstanceId();
+        this.host = host;
+        this.port = port;
+        this.lockTimeoutMs = lockTimeoutMs;
+        this.handlers = new Map(); // channel -> [handler]
+        this.waiting = new Map(); // ref -> { resolve, reject, timer }
+        this.nextRef = 1;
+        this.socket = null;
+        this.connected = false;
+        this.closed = false;
+        this.attempts = 0;
+        this.warnedDown = false;
+        this.connect();
+    }
+
+    connect() {
+        const socket = net.connect(this.port, this.host);
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            this.connected = true;
+            this.attempts = 0;
+            this.warnedDown = false;
+            writeLine(socket, { op: 'hello', id: this.id });
+            console.log(`Bus: connected to ${this.host}:${this.port} as ${this.id}`);
+            this.emit('connect');
+        });
+
+        readLines(socket, line => {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch (err) {
+                console.warn('Bus: ignoring malformed line');
+                return;
+            }
+            this.receive(data);
+        });
+
+        socket.on('error', err => {
+            if (!this.warnedDown) console.warn(`Bus: ${err.message}`);
+            this.warnedDown = true;
+        });
+
+        socket.on('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            // Whatever we were waiting for died with the connection
+            this.waiting.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(new Error('Event bus connection lost'));
+            });
+            this.waiting.clear();
+            if (this.closed) return;
+
+            if (wasConnected) console.warn('Bus: disconnected, reconnecting');
+            const backoff = Math.min(RECONNECT_MAX, RECONNECT_BASE * Math.pow(2, this.attempts));
+            this.attempts++;
+            setTimeout(() => this.connect(), backoff).unref();
+        });
+    }
+
+    receive(data) {
+        if (data.op === 'msg') {
+            (this.handlers.get(data.channel) || []).forEach(handler => handler(data.msg, data.from));
+        } else if (data.op === 'granted') {
+            const waiter = this.waiting.get(data.ref);
+            if (waiter) {
+                this.waiting.delete(data.ref);
+                clearTimeout(waiter.timer);
+                waiter.resolve();
+            } else {
+                // Granted after we gave up waiting; hand it straight back
+                writeLine(this.socket, { op: 'unlock', ref: data.ref });
+            }
+        } else if (data.op === 'gone') {
+            this.emit('peer_gone', data.id);
+        }
+    }
+
+    publish(channel, message) {
+        if (!this.connected) return;
+        writeLine(this.socket, { op: 'pub', channel, msg: message });
+    }
+
+    subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(handler);
+    }
+
+    acquire(name) {
+        if (!this.connected) return Promise.reject(new Error('Event bus unavailable'));
+
+        const ref = this.nextRef++;
+        const socket = this.socket;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting.delete(ref);
+                reject(new Error(`Timed out waiting for lock ${name}`));
+            }, this.lockTimeoutMs);
+            this.waiting.set(ref, { resolve, reject, timer });
+            writeLine(socket, { op: 'lock', name, ref });
+        }).then(() => ref);
+    }
+
+    async lock(name, fn) {
+        const socket = this.socket;
+        const ref = await this.acquire(name);
+        try {
+            return await fn();
+        } finally {
+            // A new connection starts without any locks
+            if (socket === this.socket && this.connected) writeLine(socket, { op: 'unlock', name, ref });
+        }
+    }
+
+    close() {
+        this.closed = true;
+        if (this.socket) this.socket.end();
+    }
+}
+
+// The bus server. Returns the net.Server, already listening.
+function startBusServer({ port, host = '127.0.0.1' }) {
+    const peers = new Map(); // socket -> instance id
+    const locks = new Map(); // name -> { holder: { socket, ref }, queue: [{ socket, ref }] }
+
+    function grantNext(name) {
+        const lock = locks.get(name);
+        lock.holder = lock.queue.shift() || null;
+        if (lock.holder) writeLine(lock.holder.socket, { op: 'granted', ref: lock.holder.ref });
+        else locks.delete(name);
+    }
+
+    function handle(socket, data) {
+        if (data.op === 'hello') {
+            peers.set(socket, String(data.id));
+        } else if (data.op === 'pub') {
+            const from = peers.get(socket);
+            const line = JSON.stringify({ op: 'msg', channel: data.channel, msg: data.msg, from }) + '\n';
+            peers.forEach((id, peer) => {
+                if (peer !== socket) peer.write(line);
+            });
+        } else if (data.op === 'lock') {
+            const waiter = { socket, ref: data.ref };
+            const lock = locks.get(data.name);
+            if (!lock) {
+                locks.set(data.name, { holder: waiter, queue: [] });
+                writeLine(socket, { op: 'granted', ref: data.ref });
+            } else {
+                lock.queue.push(waiter);
+            }
+        } else if (data.op === 'unlock') {
+            locks.forEach((lock, name) => {
+                if (lock.holder && lock.holder.socket === socket && lock.holder.ref === data.ref) {
+                    grantNext(name);
+                }
+            });
+        }
+    }
+
+    function drop(socket) {
+        const id = peers.get(socket);
+        peers.delete(socket);
+        locks.forEach((lock, name) => {
+            lock.queue = lock.queue.filter(waiter => waiter.socket !== socket);
+            if (lock.holder && lock.holder.socket === socket) grantNext(name);
+        });
+        if (id) peers.forEach((peerId, peer) => writeLine(peer, { op: 'gone', id }));
+    }
+
+    const server = net.createServer(socket => {
+        readLines(socket, line => {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch (err) {
+                socket.destroy();
+                return;
+            }
+            handle(socket, data);
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => drop(socket));
+    });
+    server.listen(port, host);
+    return server;
+}
+
+module.exports = { NetBus, startBusServer };
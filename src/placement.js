@@ -0,0 +1,127 @@
+const { measureText, roundSize } = require('./textmetrics');
+
+// Random placement on the growing ring around the origin, close to the item
+// being replied to for replies, or at a spot the user picked.
+//
+// Each function takes optional `options` as in config.js's `placement`:
+// { gap, maxAttempts, colors } for placeItem, and just colors for the others.
+
+const COLORS = ['#ff0000', '#008000', '#0000ff', '#800080', '#008080', '#000000', '#ff4500', '#8b4513'];
+const GAP = 500;
+const MAX_ATTEMPTS = 5000;
+const MIN_FONT_SIZE = 24;
+const MAX_FONT_SIZE = 64;
+const MAX_ROTATION = 70;
+// Replies: spots are tried from just clear of the parent outwards, reaching
+// REPLY_MAX_DISTANCE past its edge by the last attempt
+const REPLY_ATTEMPTS = 2000;
+const REPLY_MIN_DISTANCE = 40;
+const REPLY_MAX_DISTANCE = 1500;
+// Picked spots: if taken, circles NUDGE_STEP apart are searched outwards for
+// the nearest free one, up to NUDGE_MAX_DISTANCE away
+const NUDGE_STEP = 10;
+const NUDGE_MAX_DISTANCE = 300;
+
+// A candidate at (x, y) with a random color from `colors`, and a random
+// rotation unless given. `em` is the box of the text at 1px, scaled by the
+// font size.
+function makeCandidate(text, em, colors, x, y, fontSize, rotation = (Math.random() * 2 - 1) * MAX_ROTATION) {
+    return {
+        text,
+        x,
+        y,
+        rotation,
+        fontSize,
+        color: colors[Math.floor(Math.random() * colors.length)],
+        width: roundSize(em.width * fontSize),
+        height: roundSize(em.height * fontSize),
+        timestamp: Date.now()
+    };
+}
+
+// Uniformly random point in the ring between two radii
+function randomInRing(minRadius, maxRadius) {
+    const angle = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(Math.random() * (maxRadius * maxRadius - minRadius * minRadius) + minRadius * minRadius);
+    return { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+}
+
+// Try random spots until `collides(candidate)` says one is free. `count` is
+// the number of items already on the canvas; the ring grows with it.
+// Returns { item, attempts }, with item null when nothing fit.
+function placeItem(text, count, collides, { gap = GAP, maxAttempts = MAX_ATTEMPTS, colors = COLORS } = {}) {
+    let newItem = null;
+    let attempts = 0;
+    // Box of the text at 1px, scaled by each candidate's font size
+    const em = measureText(text, 1);
+
+    while (!newItem && attempts < maxAttempts) {
+        let expansion = 0;
+        if (attempts > 100) {
+            expansion = (attempts - 100) * 5;
+        }
+
+        const maxRadius = 500 + (count * 10) + expansion;
+        const minRadius = Math.max(0, maxRadius - gap);
+        const { x, y } = randomInRing(minRadius, maxRadius);
+        const fontSize = Math.floor(Math.random() * (MAX_FONT_SIZE - MIN_FONT_SIZE + 1)) + MIN_FONT_SIZE;
+        const candidate = makeCandidate(text, em, colors, x, y, fontSize);
+
+        if (!collides(candidate)) {
+            newItem = candidate;
+        }
+        attempts++;
+    }
+
+    return { item: newItem, attempts };
+}
+
+// Same as placeItem, but around `parent` instead of the ring, and a little
+// smaller so threads stay together. Sets `replyTo` on the new item.
+function placeReply(text, parent, collides, { colors = COLORS } = {}) {
+    let newItem = null;
+    let attempts = 0;
+    const em = measureText(text, 1);
+    const parentRadius = Math.max(parent.width || 0, parent.height || 0) / 2;
+
+    while (!newItem && attempts < REPLY_ATTEMPTS) {
+        const reach = REPLY_MIN_DISTANCE + (REPLY_MAX_DISTANCE - REPLY_MIN_DISTANCE) * attempts / REPLY_ATTEMPTS;
+        const offset = randomInRing(parentRadius, parentRadius + reach);
+        const fontSize = Math.floor(Math.random() * (36 - 18 + 1)) + 18;
+        const candidate = makeCandidate(text, em, colors, parent.x + offset.x, parent.y + offset.y, fontSize);
+        candidate.replyTo = parent.id;
+
+        if (!collides(candidate)) {
+            newItem = candidate;
+        }
+        attempts++;
+    }
+
+    return { item: newItem, attempts };
+}
+
+// Place at a user-picked { x, y, rotation, fontSize }, or as close to it as
+// possible. Returns { item, attempts, distance } with item null when nothing
+// within NUDGE_MAX_DISTANCE is free; `distance` is how far it was moved.
+function placeAt(text, spot, collides, { colors = COLORS } = {}) {
+    const em = measureText(text, 1);
+    const candidate = makeCandidate(text, em, colors, spot.x, spot.y, spot.fontSize, spot.rotation);
+    let attempts = 0;
+
+    for (let distance = 0; distance <= NUDGE_MAX_DISTANCE; distance += NUDGE_STEP) {
+        const steps = distance ? Math.ceil(2 * Math.PI * distance / NUDGE_STEP) : 1;
+        for (let i = 0; i < steps; i++) {
+            const angle = 2 * Math.PI * i / steps;
+            candidate.x = spot.x + distance * Math.cos(angle);
+            candidate.y = spot.y + distance * Math.sin(angle);
+            attempts++;
+            if (!collides(candidate)) {
+                return { item: candidate, attempts, distance };
+            }
+        }
+    }
+
+    return { item: null, attempts, distance: null };
+}
+
+module.exports = { placeItem, placeReply, placeAt, COLORS, GAP, MAX_ATTEMPTS, MIN_FONT_SIZE, MAX_FONT_SIZE, MAX_ROTATION };
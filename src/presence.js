@@ -0,0 +1,249 @@
+const { regionFromViewport } = require('./region');
+
+// Batched viewport presence.
+//
+// Viewport updates are only recorded as they come in. Every `tickMs` the
+// changes are flushed as one `presence` message per client that has
+// something new to hear:
+//
+//   { type: 'presence', joined: [vp], moved: [vp], left: [id] }
+//
+// where vp is { id, x, y, w, h, scale, name, color, cursor }. A client only
+// hears about users whose viewport overlaps the area around its own
+// (PRESENCE_PADDING viewport sizes on each side); users drifting out of that
+// area are reported as left, and joined again when they come back.
+//
+// For the "who's here" list, a client gets the full `roster` ({ id, name,
+// color } per user) once after joining, and from then on `roster_update`
+// deltas on the tick after someone joins, leaves or changes their profile:
+//
+//   { type: 'roster_update', joined: [user], changed: [user], left: [id] }
+//
+// Positions of far-away users are looked up on demand with locate().
+//
+// For the minimap, a coarse `overview` of viewports ({ id, x, y, w, h },
+// rounded) goes out every OVERVIEW_MS: everyone's to a client that just
+// joined (`full: true`), after that only the ones that changed since the last
+// one, plus the ids of users who left.
+//
+// Users connected to another server instance join without a socket: they
+// are seen by everyone here but hear nothing from this instance.
+
+const PRESENCE_TICK_MS = 200;
+const PRESENCE_PADDING = 1;
+const OVERVIEW_MS = 2000;
+
+function rectsIntersect(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+class Presence {
+    constructor({ send, tickMs = PRESENCE_TICK_MS, padding = PRESENCE_PADDING, overviewMs = OVERVIEW_MS }) {
+        this.send = send; // (ws, data) => void
+        this.tickMs = tickMs;
+        this.overviewMs = overviewMs;
+        this.padding = padding;
+        this.users = new Map(); // id -> { id, ws, viewport, rect, region, name, color, cursor, known }
+        this.dirty = new Set(); // users whose state changed since last flush
+        this.departed = new Set(); // ids that disconnected since last flush
+        this.rosterJoined = new Set(); // users who joined since last flush
+        this.rosterChanged = new Set(); // users whose profile changed
+        this.rosterLeft = new Set(); // ids of users the others were told about
+        this.overviewSent = new Map(); // id -> rounded viewport as last sent
+        this.overviewLeft = new Set(); // ids to drop from everyone's overview
+        this.timer = null;
+        this.overviewTimer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.flush(), this.tickMs);
+        this.timer.unref();
+        this.overviewTimer = setInterval(() => this.flushOverview(), this.overviewMs);
+        this.overviewTimer.unref();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        clearInterval(this.overviewTimer);
+    }
+
+    join(id, ws) {
+        this.users.set(id, {
+            id,
+            ws,
+            viewport: null,
+            rect: null,
+            region: null,
+            name: null,
+            color: null,
+            cursor: null,
+            known: new Set(),
+            overviewFull: false // got the full overview yet
+        });
+        this.rosterJoined.add(this.users.get(id));
+    }
+
+    update(id, viewport) {
+        const user = this.users.get(id);
+        if (!user) return;
+
+        // Copy the known fields only, clients must not inject their own
+        user.viewport = {
+            x: viewport.x,
+            y: viewport.y,
+            w: viewport.w,
+            h: viewport.h,
+            scale: viewport.scale
+        };
+        user.rect = regionFromViewport(viewport, 0);
+        user.region = regionFromViewport(viewport, this.padding);
+        this.dirty.add(user);
+    }
+
+    setProfile(id, { name, color }) {
+        const user = this.users.get(id);
+        if (!user) return;
+        user.name = name;
+        user.color = color;
+        if (!this.rosterJoined.has(user)) this.rosterChanged.add(user);
+        if (user.viewport) this.dirty.add(user);
+    }
+
+    setCursor(id, x, y) {
+        const user = this.users.get(id);
+        if (!user) return;
+        user.cursor = { x, y };
+        if (user.viewport) this.dirty.add(user);
+    }
+
+    // Current viewport of a user, or null
+    locate(id) {
+        const user = this.users.get(id);
+        return user && user.viewport ? { id, ...user.viewport } : null;
+    }
+
+    state(user) {
+        return { id: user.id, ...user.viewport, name: user.name, color: user.color, cursor: user.cursor };
+    }
+
+    rosterEntry(user) {
+        return { id: user.id, name: user.name, color: user.color };
+    }
+
+    roster() {
+        return Array.from(this.users.values(), user => this.rosterEntry(user));
+    }
+
+    leave(id) {
+        const user = this.users.get(id);
+        if (!user) return;
+        this.users.delete(id);
+        this.dirty.delete(user);
+        this.departed.add(id);
+        // Nobody was told about someone who joins and leaves within a tick
+        if (!this.rosterJoined.delete(user)) this.rosterLeft.add(id);
+        this.rosterChanged.delete(user);
+        if (this.overviewSent.delete(id)) this.overviewLeft.add(id);
+    }
+
+    get size() {
+        return this.users.size;
+    }
+
+    flushOverview() {
+        const changed = [];
+        this.users.forEach(user => {
+            if (!user.viewport) return;
+            const { x, y, w, h } = user.viewport;
+            const rounded = { id: user.id, x: Math.round(x), y: Math.round(y), w: Math.round(w), h: Math.round(h) };
+            const sent = this.overviewSent.get(user.id);
+            if (sent && sent.x === rounded.x && sent.y === rounded.y && sent.w === rounded.w && sent.h === rounded.h) return;
+            this.overviewSent.set(user.id, rounded);
+            changed.push(rounded);
+        });
+
+        const left = Array.from(this.overviewLeft);
+        this.overviewLeft.clear();
+        const update = changed.length || left.length ? { type: 'overview', users: changed, left, full: false } : null;
+        let full = null;
+
+        this.users.forEach(user => {
+            if (!user.ws) return;
+            if (!user.overviewFull) {
+                full = full || { type: 'overview', users: Array.from(this.overviewSent.values()), left: [], full: true };
+                user.overviewFull = true;
+                this.send(user.ws, full);
+            } else if (update) {
+                this.send(user.ws, update);
+            }
+        });
+    }
+
+    flush() {
+        if (this.rosterJoined.size || this.rosterChanged.size || this.rosterLeft.size) {
+            const update = {
+                type: 'roster_update',
+                joined: Array.from(this.rosterJoined, user => this.rosterEntry(user)),
+                changed: Array.from(this.rosterChanged, user => this.rosterEntry(user)),
+                left: Array.from(this.rosterLeft)
+            };
+            let full = null;
+            this.users.forEach(user => {
+                if (!user.ws) return;
+                if (this.rosterJoined.has(user)) {
+                    full = full || { type: 'roster', users: this.roster() };
+                    this.send(user.ws, full);
+                } else {
+                    this.send(user.ws, update);
+                }
+            });
+            this.rosterJoined.clear();
+            this.rosterChanged.clear();
+            this.rosterLeft.clear();
+        }
+
+        if (!this.dirty.size && !this.departed.size) return;
+
+        const everyone = Array.from(this.users.values()).filter(user => user.viewport);
+
+        for (const recipient of everyone) {
+            if (!recipient.ws) continue;
+            const delta = { joined: [], moved: [], left: [] };
+
+            // Someone who moved has to re-check everyone; otherwise only the
+            // users that moved can have changed what this recipient sees
+            const candidates = this.dirty.has(recipient) ? everyone : this.dirty;
+
+            for (const user of candidates) {
+                if (user === recipient) continue;
+
+                const near = rectsIntersect(recipient.region, user.rect);
+                const known = recipient.known.has(user.id);
+
+                if (near && !known) {
+                    recipient.known.add(user.id);
+                    delta.joined.push(this.state(user));
+                } else if (near && this.dirty.has(user)) {
+                    delta.moved.push(this.state(user));
+                } else if (!near && known) {
+                    recipient.known.delete(user.id);
+                    delta.left.push(user.id);
+                }
+            }
+
+            for (const id of this.departed) {
+                if (recipient.known.delete(id)) delta.left.push(id);
+            }
+
+            if (delta.joined.length || delta.moved.length || delta.left.length) {
+                this.send(recipient.ws, { type: 'presence', ...delta });
+            }
+        }
+
+        this.dirty.clear();
+        this.departed.clear();
+    }
+}
+
+module.exports = { Presence };
@@ -0,0 +1,51 @@
+// Token-bucket rate limiting. Each key (an IP, a connection id) gets a
+// bucket of `capacity` tokens that refills at `refillPerSec`; an action
+// costs a token and is refused when the bucket is empty. Buckets that have
+// sat full for `idleMs` are swept so the map does not grow forever.
+
+class RateLimiter {
+    constructor({ capacity, refillPerSec, idleMs = 60 * 1000 }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerSec / 1000;
+        this.idleMs = idleMs;
+        this.buckets = new Map(); // key -> { tokens, last }
+    }
+
+    refill(bucket, now) {
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.last) * this.refillPerMs);
+        bucket.last = now;
+    }
+
+    // Spend `cost` tokens if available. Returns false when rate limited.
+    take(key, cost = 1, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: this.capacity, last: now };
+            this.buckets.set(key, bucket);
+        } else {
+            this.refill(bucket, now);
+        }
+
+        if (bucket.tokens < cost) return false;
+        bucket.tokens -= cost;
+        return true;
+    }
+
+    delete(key) {
+        this.buckets.delete(key);
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.last < this.idleMs) continue;
+            this.refill(bucket, now);
+            if (bucket.tokens >= this.capacity) this.buckets.delete(key);
+        }
+    }
+
+    get size() {
+        return this.buckets.size;
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Emoji reactions on items. 👍 and 👎 double as up/down votes.
+
+const REACTIONS = ['👍', '👎', '😂', '❤️', '😮'];
+
+// Reactions a single IP may hand out in total, across all items
+const MAX_REACTIONS_PER_IP = 500;
+
+// Who reacted is stored as an HMAC of their IP, keyed with a secret from
+// loadReactorSecret(). A plain hash would not hide much: trying every IPv4
+// address takes minutes.
+function reactorId(secret, ip) {
+    return crypto.createHmac('sha256', secret).update(String(ip)).digest('base64url').slice(0, 16);
+}
+
+// The secret in dir/reactor.key, created on first start. Instances sharing
+// the data directory read the same one; linking the new file into place
+// fails if another instance got there first.
+function loadReactorSecret(dir) {
+    const file = path.join(dir, 'reactor.key');
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(dir, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+        try {
+            fs.linkSync(tmp, file);
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        } finally {
+            fs.unlinkSync(tmp);
+        }
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+}
+
+// Remembers who reacted with what, so a client can react once per emoji per
+// item. Keyed by IP rather than socket so reconnecting does not reset it.
+//
+// The item store feeds it (see ItemStore's `reactions` option): every
+// reaction is an update record carrying { by, emoji, delta }, so it survives
+// restarts and reaches other instances with the record. Entries go away when
+// reactions are taken back or their item is deleted, and no IP holds more
+// than maxPerIp of them.
+class ReactionTracker {
+    constructor(maxPerIp = MAX_REACTIONS_PER_IP) {
+        this.maxPerIp = maxPerIp;
+        this.byItem = new Map(); // item id -> Set<"by emoji">
+        this.given = new Map(); // by -> number of reactions held
+    }
+
+    // +1 if this reactor may add the reaction, -1 if it is theirs to take
+    // back, or null if they have used up their budget
+    delta(by, itemId, emoji) {
+        const reacted = this.byItem.get(itemId);
+        if (reacted && reacted.has(`${by} ${emoji}`)) return -1;
+        if ((this.given.get(by) || 0) >= this.maxPerIp) return null;
+        return 1;
+    }
+
+    apply(itemId, { by, emoji, delta }) {
+        let reacted = this.byItem.get(itemId);
+        const key = `${by} ${emoji}`;
+        if (delta > 0) {
+            if (!reacted) {
+                reacted = new Set();
+                this.byItem.set(itemId, reacted);
+            }
+            if (reacted.has(key)) return;
+            reacted.add(key);
+            this.given.set(by, (this.given.get(by) || 0) + 1);
+        } else {
+            if (!reacted || !reacted.delete(key)) return;
+            if (!reacted.size) this.byItem.delete(itemId);
+            this.release(by);
+        }
+    }
+
+    forget(itemId) {
+        const reacted = this.byItem.get(itemId);
+        if (!reacted) return;
+        this.byItem.delete(itemId);
+        reacted.forEach(key => this.release(key.slice(0, key.indexOf(' '))));
+    }
+
+    release(by) {
+        const count = (this.given.get(by) || 0) - 1;
+        if (count > 0) this.given.set(by, count);
+        else this.given.delete(by);
+    }
+
+    clear() {
+        this.byItem.clear();
+        this.given.clear();
+    }
+
+    // [[itemId, ["by emoji", ...]], ...] for the store snapshot
+    toJSON() {
+        return Array.from(this.byItem, ([itemId, reacted]) => [itemId, Array.from(reacted)]);
+    }
+
+    load(entries) {
+        this.clear();
+        for (const [itemId, keys] of entries) {
+            for (const key of keys) {
+                const space = key.indexOf(' ');
+                this.apply(itemId, { by: key.slice(0, space), emoji: key.slice(space + 1), delta: 1 });
+            }
+        }
+    }
+}
+
+function applyReaction(reactions, emoji, delta) {
+    const next = { ...reactions };
+    next[emoji] = Math.max(0, (next[emoji] || 0) + delta);
+    if (!next[emoji]) delete next[emoji];
+    return next;
+}
+
+module.exports = { REACTIONS, ReactionTracker, applyReaction, reactorId, loadReactorSecret };
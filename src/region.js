@@ -0,0 +1,45 @@
+// World-space rectangles used to scope what each client loads and hears about.
+
+// How far past its own viewport a client keeps items loaded, in multiples of
+// the viewport size on each side. public/script.js fetches with the same
+// padding, and drops items outside it, so broadcasts cover everything the
+// client holds.
+const REGION_PADDING = 1;
+
+// Largest width or height a requested region may have, in world units. A
+// fully zoomed-out client on a very large screen asks for well under this.
+const MAX_REGION_SIZE = 1e6;
+
+// Viewports are sent as a centre point plus width and height in world units
+function regionFromViewport(vp, padding = REGION_PADDING) {
+    const halfW = vp.w / 2 + vp.w * padding;
+    const halfH = vp.h / 2 + vp.h * padding;
+    return {
+        minX: vp.x - halfW,
+        minY: vp.y - halfH,
+        maxX: vp.x + halfW,
+        maxY: vp.y + halfH
+    };
+}
+
+function regionContains(region, x, y) {
+    return x >= region.minX && x <= region.maxX && y >= region.minY && y <= region.maxY;
+}
+
+// Parse minX/minY/maxX/maxY from a query string object, or null if invalid
+function parseRegion(query) {
+    const region = {};
+    for (const key of ['minX', 'minY', 'maxX', 'maxY']) {
+        const value = Number(query[key]);
+        if (query[key] === undefined || query[key] === '' || !Number.isFinite(value)) return null;
+        region[key] = value;
+    }
+    if (region.minX > region.maxX || region.minY > region.maxY) return null;
+    return region;
+}
+
+function regionTooLarge(region, maxSize = MAX_REGION_SIZE) {
+    return region.maxX - region.minX > maxSize || region.maxY - region.minY > maxSize;
+}
+
+module.exports = { REGION_PADDING, MAX_REGION_SIZE, regionFromViewport, regionContains, parseRegion, regionTooLarge };
@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const { ItemStore, newItemId } = require('./store');
+const { SpatialGrid } = require('./spatial');
+const { SearchIndex } = require('./search');
+const { DensityGrid } = require('./density');
+const { Timeline } = require('./timeline');
+const { Presence } = require('./presence');
+const { ReactionTracker } = require('./reactions');
+const { measureText, roundSize } = require('./textmetrics');
+const { ContentSet, activeContent } = require('./content');
+
+// Named canvases. Every room has its own item store and the indexes built on
+// it, its own connected clients and their presence. The default room keeps
+// using the top-level data directory; others live in data/rooms/<name>/.
+//
+// Connecting to /c/<name> opens the room in memory, but it only gets a
+// directory, and counts towards `maxRooms`, once something is written to it,
+// i.e. the first submit. Read-only requests never open a room that isn't on
+// disk. Rooms other than the default one are unloaded again once nobody has
+// been in them for a while (see sweep()).
+//
+// A room can have a settings.json in its directory:
+//
+//   maxTextLength   longest text accepted on submit (default 67, or the
+//                   server's maxTextLength, see config.js)
+//   filter          false turns the content filter off for the room
+//
+// and a content.json with its own popup and shape lines, see content.js.
+//
+// With more than one server instance (see bus.js), every record a room
+// writes is published on the bus's `records` channel and applied by the
+// same room on the other instances, and writes happen under the room's lock.
+// A room is loaded under its lock too, as is compaction. Records that never
+// arrived over the bus, because it was down or dropped a publish, are read
+// from the shared log whenever the lock is taken, so every write carries on
+// from the latest seq. `onRemote(room, record, item)` hears about each record
+// applied that way. Users connected elsewhere are in `presence` too, with the
+// instance they are on in `remoteUsers`.
+
+const DEFAULT_ROOM = 'main';
+const ROOM_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DEFAULT_SETTINGS = { maxTextLength: 67, filter: true };
+const MAX_ROOMS = 100;
+const IDLE_UNLOAD_MS = 5 * 60 * 1000;
+
+function loadSettings(dir, defaults = DEFAULT_SETTINGS) {
+    const file = path.join(dir, 'settings.json');
+    if (!fs.existsSync(file)) return { ...defaults };
+
+    const settings = { ...defaults, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    if (!Number.isInteger(settings.maxTextLength) || settings.maxTextLength < 1) {
+        throw new Error(`Room settings: maxTextLength in ${file} must be a positive integer`);
+    }
+    if (typeof settings.filter !== 'boolean') {
+        throw new Error(`Room settings: filter in ${file} must be true or false`);
+    }
+    return settings;
+}
+
+// Fill in fields older items lack: ids, and measured text boxes (they only
+// had a length-based estimate before)
+function backfillItem(item) {
+    let changed = false;
+    if (!item.id) {
+        item.id = newItemId();
+        changed = true;
+    }
+    if (item.width === undefined) {
+        const { width, height } = measureText(item.text, item.fontSize);
+        item.width = roundSize(width);
+        item.height = roundSize(height);
+        changed = true;
+    }
+    return changed;
+}
+
+class Room {
+    constructor(name, dir, { send, bus, content, settings = DEFAULT_SETTINGS, onRemote = () => {} }) {
+        this.name = name;
+        this.dir = dir;
+        this.bus = bus;
+        this.settings = loadSettings(dir, settings);
+
+        // The default room's directory holds the shared content.json itself
+        this.sharedContent = content;
+        this.content = name === DEFAULT_ROOM ? content : new ContentSet(path.join(dir, 'content.json')).load(content);
+
+        // Canvas items, kept in memory and persisted to an append-only log
+        // Who reacted to what, kept by the store from its records
+        this.reactions = new ReactionTracker();
+        this.store = new ItemStore(dir, {
+            onWrite: record => bus.publish('records', { room: name, record }),
+            reactions: this.reactions
+        });
+        this.onRemote = onRemote;
+        this.loaded = false;
+        this.createIndexes();
+
+        this.clients = new Set(); // Connected sockets
+        this.presence = new Presence({ send }).start();
+        this.remoteUsers = new Map(); // presence id -> instance id
+        this.idleSince = null;
+    }
+
+    createIndexes() {
+        // Collision checks on placement
+        this.spatialIndex = new SpatialGrid();
+        // /api/search
+        this.searchIndex = new SearchIndex();
+        // Minimap density and history playback, visible items only
+        this.densityGrid = new DensityGrid();
+        this.timeline = new Timeline();
+    }
+
+    // Read the store and build the indexes; call with the lock held
+    load() {
+        this.store.load();
+        const backfilled = this.store.backfill(backfillItem);
+        if (backfilled) console.log(`Room ${this.name}: backfilled ids and text boxes for ${backfilled} items`);
+        this.store.all().forEach(item => this.index(item));
+        this.loaded = true;
+    }
+
+    // Apply the records other instances wrote that we missed; call with the
+    // lock held. If some are only in a snapshot by now, the room is loaded
+    // again and its clients reconnect to fetch everything afresh.
+    catchUp() {
+        const records = this.store.unseen();
+        if (records) {
+            records.forEach(record => this.receive(record));
+            return;
+        }
+        console.warn(`Room ${this.name}: missed changes that were compacted away, reloading`);
+        this.store.reload();
+        this.createIndexes();
+        this.load();
+        this.clients.forEach(ws => ws.close(1012, 'Room reloaded'));
+    }
+
+    // Catch up with the log, e.g. after the bus was down
+    refresh() {
+        return this.exclusive(() => {});
+    }
+
+    // A record from another instance, off the bus or the log
+    receive(record) {
+        // Still loading, which reads it from disk
+        if (!this.loaded) return;
+        // Missed some before it; they are all in the log
+        if (record.seq > this.store.seq + 1) {
+            this.refresh().catch(err => console.error(`Room ${this.name}: catching up failed: ${err.message}`));
+            return;
+        }
+        const item = this.applyRemote(record);
+        if (item) this.onRemote(this, record, item);
+    }
+
+    onDisk() {
+        return fs.existsSync(this.dir);
+    }
+
+    index(item) {
+        this.spatialIndex.insert(item);
+        this.searchIndex.add(item);
+        if (!item.hidden) {
+            this.densityGrid.add(item);
+            this.timeline.add(item);
+        }
+    }
+
+    // Run fn while no other instance writes to this room, once anything
+    // they wrote is applied here
+    exclusive(fn) {
+        return this.bus.lock(`room:${this.name}`, () => {
+            if (this.loaded) this.catchUp();
+            return fn();
+        });
+    }
+
+    // Popup and shape lines that are on right now
+    activeContent(date = new Date()) {
+        return activeContent(this.sharedContent, this.content === this.sharedContent ? null : this.content, date);
+    }
+
+    // Store a newly placed item and index it
+    add(item, key) {
+        this.store.append(item, key);
+        this.index(item);
+    }
+
+    // A record written by another instance. Returns the item it touched, or
+    // null if there is nothing to pass on.
+    applyRemote(record) {
+        const before = record.op === 'add' ? null : this.store.get(record.id);
+        const wasHidden = !!(before && before.hidden);
+        if (!this.store.applyRemote(record)) return null;
+
+        if (record.op === 'add') {
+            const item = this.store.get(record.item.id);
+            this.index(item);
+            return item;
+        }
+        if (!before) return null;
+        if (record.op === 'delete') {
+            this.itemDeleted(before);
+        } else if (record.patch.hidden !== undefined && !!record.patch.hidden !== wasHidden) {
+            if (record.patch.hidden) this.itemHidden(before);
+            else this.itemRestored(before);
+        }
+        return before;
+    }
+
+    // Presence of users on other instances: { op: 'join', id, state } with
+    // state { viewport, name, color, cursor }, then 'viewport', 'cursor',
+    // 'profile' and 'leave' events for the same id.
+    // Returns true if someone joined or left.
+    applyRemotePresence(event, from) {
+        const { op, id } = event;
+        if (op === 'join') {
+            // Already known when an instance answers another one's sync
+            const known = this.presence.users.has(id);
+            if (known && !this.remoteUsers.has(id)) return false;
+            if (!known) {
+                this.remoteUsers.set(id, from);
+                this.presence.join(id, null);
+            }
+            const { viewport, name, color, cursor } = event.state || {};
+            if (viewport) this.presence.update(id, viewport);
+            if (name || color) this.presence.setProfile(id, { name, color });
+            if (cursor) this.presence.setCursor(id, cursor.x, cursor.y);
+            return !known;
+        }
+        if (!this.remoteUsers.has(id)) return false;
+        if (op === 'viewport') this.presence.update(id, event.viewport);
+        else if (op === 'cursor') this.presence.setCursor(id, event.x, event.y);
+        else if (op === 'profile') this.presence.setProfile(id, { name: event.name, color: event.color });
+        else if (op === 'leave') {
+            this.remoteUsers.delete(id);
+            this.presence.leave(id);
+            return true;
+        }
+        return false;
+    }
+
+    // Drop the users of an instance that went away, or of every other
+    // instance when `from` is null. Returns how many left.
+    dropRemoteUsers(from) {
+        let dropped = 0;
+        this.remoteUsers.forEach((instance, id) => {
+            if (from !== null && instance !== from) return;
+            this.remoteUsers.delete(id);
+            this.presence.leave(id);
+            dropped++;
+        });
+        return dropped;
+    }
+
+    // Join events for the users connected here, for other instances to
+    // catch up on
+    localPresence() {
+        const events = [];
+        this.presence.users.forEach(user => {
+            if (!user.ws) return;
+            const state = { viewport: user.viewport, name: user.name, color: user.color, cursor: user.cursor };
+            events.push({ op: 'join', id: user.id, state });
+        });
+        return events;
+    }
+
+    // Moderation. Hidden items keep their spot on the canvas so restoring them
+    // cannot cause overlaps; deleted ones free it up.
+    itemHidden(item) {
+        this.densityGrid.remove(item);
+        this.timeline.remove(item);
+    }
+
+    itemRestored(item) {
+        this.densityGrid.add(item);
+        this.timeline.add(item);
+    }
+
+    itemDeleted(item) {
+        this.spatialIndex.remove(item);
+        this.searchIndex.remove(item);
+        if (!item.hidden) {
+            this.densityGrid.remove(item);
+            this.timeline.remove(item);
+        }
+    }
+
+    close() {
+        this.presence.stop();
+        this.store.close();
+    }
+}
+
+class Rooms {
+    // `onOpen(room)` is called for every room loaded into memory, and
+    // `onRemote` is passed on to each, see above
+    constructor({ dataDir, send, bus, content, maxRooms = MAX_ROOMS, settings = {}, idleMs = IDLE_UNLOAD_MS, onOpen = () => {}, onRemote }) {
+        this.dataDir = dataDir;
+        this.send = send;
+        this.bus = bus;
+        this.content = content;
+        this.maxRooms = maxRooms;
+        this.idleMs = idleMs;
+        this.onOpen = onOpen;
+        this.onRemote = onRemote;
+        // Defaults for rooms without their own settings.json
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.rooms = new Map(); // name -> Room
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && ROOM_NAME.test(name);
+    }
+
+    dirFor(name) {
+        return name === DEFAULT_ROOM ? this.dataDir : path.join(this.dataDir, 'rooms', name);
+    }
+
+    // The room with this name, loaded or opened in memory as a new one.
+    // Returns null for invalid names, or for new rooms once there are
+    // maxRooms of them on disk or in memory. Wait for `room.ready` before
+    // using it: it resolves to false if the room failed to load, which
+    // drops it again so the next call retries.
+    get(name = DEFAULT_ROOM) {
+        const room = this.open(name);
+        if (room || !Rooms.isValidName(name)) return room;
+        if (this.rooms.size > this.maxRooms || this.countOnDisk() >= this.maxRooms) return null;
+        return this.load(name);
+    }
+
+    // The room if it is loaded or exists on disk, without creating it
+    open(name = DEFAULT_ROOM) {
+        if (!Rooms.isValidName(name)) return null;
+        if (this.rooms.has(name)) return this.rooms.get(name);
+        if (name !== DEFAULT_ROOM && !fs.existsSync(this.dirFor(name))) return null;
+        return this.load(name);
+    }
+
+    // The room if it is loaded, without loading it
+    find(name) {
+        return this.rooms.get(name) || null;
+    }
+
+    load(name) {
+        const room = new Room(name, this.dirFor(name), {
+            send: this.send,
+            bus: this.bus,
+            content: this.content,
+            settings: this.settings,
+            onRemote: this.onRemote
+        });
+        this.rooms.set(name, room);
+        room.ready = room.exclusive(() => room.load()).then(() => {
+            this.onOpen(room);
+            return true;
+        }, err => {
+            console.error(`Room ${name}: failed to load: ${err.message}`);
+            room.close();
+            if (this.rooms.get(name) === room) this.rooms.delete(name);
+            return false;
+        });
+        return room;
+    }
+
+    // Whether a write may put the room on disk: false for a new room once
+    // there are maxRooms of them
+    mayWrite(room) {
+        return room.name === DEFAULT_ROOM || room.onDisk() || this.countOnDisk() < this.maxRooms;
+    }
+
+    // Unload rooms nobody has been in, here or on other instances, for idleMs.
+    // Returns the rooms unloaded.
+    sweep(now = Date.now()) {
+        const unloaded = [];
+        this.rooms.forEach(room => {
+            if (room.name === DEFAULT_ROOM) return;
+            if (room.clients.size || room.presence.size) {
+                room.idleSince = null;
+            } else if (room.idleSince === null) {
+                room.idleSince = now;
+            } else if (now - room.idleSince >= this.idleMs) {
+                room.close();
+                this.rooms.delete(room.name);
+                unloaded.push(room);
+            }
+        });
+        return unloaded;
+    }
+
+    // Rooms other than the default that have a directory
+    countOnDisk() {
+        const roomsDir = path.join(this.dataDir, 'rooms');
+        return fs.existsSync(roomsDir) ? fs.readdirSync(roomsDir).length : 0;
+    }
+
+    all() {
+        return Array.from(this.rooms.values());
+    }
+}
+
+module.exports = { Room, Rooms, DEFAULT_ROOM };
@@ -0,0 +1,148 @@
+// In-memory full-text index over item text.
+//
+// Text is folded (lowercase, accents stripped) and split into words. Each
+// query word matches index terms exactly, as a prefix, or within a small
+// edit distance (1 for words of 4+ letters, 2 for 8+), scored in that order.
+// An item has to match every query word to be returned. Only the first
+// MAX_QUERY_WORDS words of a query count, and the fuzzy pass, which compares
+// each of them with every term, is skipped when the others find enough.
+
+const SCORE_EXACT = 3;
+const SCORE_PREFIX = 2;
+const SCORE_FUZZY = 1;
+const MAX_QUERY_WORDS = 5;
+
+function fold(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return fold(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function maxEdits(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+// Levenshtein distance, giving up once it is certain to exceed `limit`
+function withinDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return false;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+            if (curr[j] < rowMin) rowMin = curr[j];
+        }
+        if (rowMin > limit) return false;
+        prev = curr;
+    }
+    return prev[b.length] <= limit;
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Set<itemId>
+        this.sortedTerms = null; // built lazily for prefix lookups
+    }
+
+    add(item) {
+        for (const term of new Set(tokenize(item.text))) {
+            let ids = this.postings.get(term);
+            if (!ids) {
+                ids = new Set();
+                this.postings.set(term, ids);
+                this.sortedTerms = null;
+            }
+            ids.add(item.id);
+        }
+    }
+
+    remove(item) {
+        for (const term of new Set(tokenize(item.text))) {
+            const ids = this.postings.get(term);
+            if (!ids) continue;
+            ids.delete(item.id);
+            if (!ids.size) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+    }
+
+    terms() {
+        if (!this.sortedTerms) {
+            this.sortedTerms = Array.from(this.postings.keys()).sort();
+        }
+        return this.sortedTerms;
+    }
+
+    // term -> score for every index term that matches one query word
+    matchWord(word, fuzzy = true) {
+        const matches = new Map();
+        const terms = this.terms();
+
+        // Binary search to the first term >= word, then walk the prefix run
+        let lo = 0;
+        let hi = terms.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (terms[mid] < word) lo = mid + 1;
+            else hi = mid;
+        }
+        for (let i = lo; i < terms.length && terms[i].startsWith(word); i++) {
+            matches.set(terms[i], terms[i] === word ? SCORE_EXACT : SCORE_PREFIX);
+        }
+
+        const limit = fuzzy ? maxEdits(word) : 0;
+        if (limit) {
+            for (const term of terms) {
+                if (!matches.has(term) && withinDistance(word, term, limit)) {
+                    matches.set(term, SCORE_FUZZY);
+                }
+            }
+        }
+        return matches;
+    }
+
+    // Returns [{ id, score }] for every item matching all query words,
+    // unsorted. Typos are only looked at if exact and prefix matches find
+    // fewer than `enough` items.
+    search(query, enough = Infinity) {
+        const words = [...new Set(tokenize(query))].slice(0, MAX_QUERY_WORDS);
+        if (!words.length) return [];
+
+        const found = this.matchAll(words, false);
+        return found.length >= enough ? found : this.matchAll(words, true);
+    }
+
+    matchAll(words, fuzzy) {
+        let scores = null; // itemId -> score, narrowed word by word
+        for (const word of words) {
+            const wordScores = new Map();
+            for (const [term, score] of this.matchWord(word, fuzzy)) {
+                for (const id of this.postings.get(term)) {
+                    if (scores && !scores.has(id)) continue;
+                    if (score > (wordScores.get(id) || 0)) wordScores.set(id, score);
+                }
+            }
+
+            if (scores) {
+                for (const [id, score] of wordScores) {
+                    wordScores.set(id, score + scores.get(id));
+                }
+            }
+            scores = wordScores;
+            if (!scores.size) break;
+        }
+
+        return Array.from(scores, ([id, score]) => ({ id, score }));
+    }
+}
+
+module.exports = { SearchIndex, tokenize };
@@ -0,0 +1,114 @@
+const { getItemPolygon, getPolygonBounds, doPolygonsIntersect } = require('./geometry');
+
+// Uniform grid over each item's rotated bounding box. An item is registered
+// in every cell its box touches, so a query only has to look at the cells
+// covering the area of interest instead of every item on the canvas.
+
+const DEFAULT_CELL_SIZE = 256;
+
+class SpatialGrid {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cy" -> entry[]
+        this.entries = new Map(); // item -> entry
+        this.size = 0;
+    }
+
+    cellRange(box) {
+        const s = this.cellSize;
+        return {
+            x0: Math.floor(box.minX / s),
+            y0: Math.floor(box.minY / s),
+            x1: Math.floor(box.maxX / s),
+            y1: Math.floor(box.maxY / s)
+        };
+    }
+
+    insert(item) {
+        const poly = getItemPolygon(item);
+        const entry = { item, poly, box: getPolygonBounds(poly) };
+        const { x0, y0, x1, y1 } = this.cellRange(entry.box);
+
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+        this.entries.set(item, entry);
+        this.size++;
+        return entry;
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+        const { x0, y0, x1, y1 } = this.cellRange(entry.box);
+
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = `${cx},${cy}`;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+                const i = cell.indexOf(entry);
+                if (i !== -1) cell.splice(i, 1);
+                if (!cell.length) this.cells.delete(key);
+            }
+        }
+        this.entries.delete(item);
+        this.size--;
+        return true;
+    }
+
+    // Entries whose bounding box overlaps the given box. A box spanning more
+    // cells than there are occupied ones walks the occupied cells instead, so
+    // the cost never exceeds the size of the grid.
+    queryEntries(box) {
+        const { x0, y0, x1, y1 } = this.cellRange(box);
+        const found = new Set();
+        const collect = cell => {
+            for (const entry of cell) {
+                const b = entry.box;
+                if (b.maxX < box.minX || b.minX > box.maxX || b.maxY < box.minY || b.minY > box.maxY) continue;
+                found.add(entry);
+            }
+        };
+
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > this.cells.size) {
+            for (const [key, cell] of this.cells) {
+                const [cx, cy] = key.split(',').map(Number);
+                if (cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1) collect(cell);
+            }
+            return found;
+        }
+
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (cell) collect(cell);
+            }
+        }
+        return found;
+    }
+
+    query(minX, minY, maxX, maxY) {
+        return Array.from(this.queryEntries({ minX, minY, maxX, maxY }), entry => entry.item);
+    }
+
+    collides(newItem) {
+        const poly = getItemPolygon(newItem);
+        for (const entry of this.queryEntries(getPolygonBounds(poly))) {
+            if (doPolygonsIntersect(poly, entry.poly)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = { SpatialGrid };
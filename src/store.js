@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Append-only item store.
+//
+// Items live in memory. Every change is appended to a newline-delimited JSON
+// log and fsync'd before append() returns, so a crash can only ever lose (or
+// half-write) the very last record. Once the log grows past COMPACT_EVERY
+// records it is folded into a snapshot file (written to a temp file, then
+// renamed over the old one) and truncated.
+//
+// Each record carries a monotonic `seq`. The snapshot remembers the last seq
+// it contains, so a crash between writing the snapshot and truncating the log
+// does not replay records twice. Items keep the seq of the record that added
+// them. The last RECENT_RECORDS records are kept in memory, so since(seq) can
+// tell a reconnecting client what it missed.
+//
+// An add can carry the client's idempotency key. The last MAX_KEYS keys are
+// remembered (in the snapshot too), so a submit retried after a dropped
+// connection or a restart finds the item it already created.
+//
+// `reactions` is an optional ReactionTracker (see reactions.js) kept from the
+// `reaction` field of update records, and saved in the snapshot with them.
+//
+// Nothing is created on disk until the first write, so opening a store for a
+// directory that doesn't exist yet leaves no trace.
+//
+// Server instances sharing a data directory take turns writing (see bus.js).
+// `onWrite(record)` hears about every record written here so it can be
+// passed on, and applyRemote() takes in the records the others wrote. Any
+// that never arrive that way are still in the log, and unseen() reads them
+// from there. Loading, writing and unseen() all expect the caller to hold
+// the lock, as they may truncate a record cut off at the end of the log.
+
+const COMPACT_EVERY = 1000;
+const MAX_KEYS = 10000;
+const RECENT_RECORDS = 1000;
+
+function newItemId() {
+    return crypto.randomBytes(8).toString('base64url');
+}
+
+// The complete records at the start of `buf`, and the bytes they take up.
+// Stops at a record without its trailing newline or one that doesn't parse,
+// i.e. one that was cut off mid-write.
+function parseRecords(buf) {
+    const records = [];
+    let offset = 0;
+    while (offset < buf.length) {
+        const end = buf.indexOf(0x0a, offset);
+        if (end === -1) break;
+        try {
+            records.push(JSON.parse(buf.toString('utf8', offset, end)));
+        } catch (e) {
+            break;
+        }
+        offset = end + 1;
+    }
+    return { records, bytes: offset };
+}
+
+// Changes whenever the file is replaced, as a snapshot is on every write
+function fileStamp(file) {
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    return stat ? `${stat.ino}:${stat.size}:${stat.mtimeMs}` : null;
+}
+
+class ItemStore {
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.logFile = path.join(dir, options.logName || 'canvas_items.log');
+        this.snapshotFile = path.join(dir, options.snapshotName || 'canvas_items.snapshot.json');
+        this.legacyFile = path.join(dir, options.legacyName || 'canvas_data.json');
+        this.compactEvery = options.compactEvery || COMPACT_EVERY;
+        this.onWrite = options.onWrite || null;
+        this.reactions = options.reactions || null;
+        this.recentLimit = options.recentRecords || RECENT_RECORDS;
+        this.recent = []; // the latest records, oldest first
+
+        this.items = [];
+        this.byId = new Map();
+        this.keys = new Map(); // idempotency key -> item id, oldest first
+        this.seq = 0;
+        this.logRecords = 0;
+        this.logOffset = 0; // bytes of the log read or written here
+        this.snapshotStamp = null; // the snapshot file as last read or written
+        this.fd = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.dir)) return this;
+
+        let snapshotSeq = 0;
+        this.snapshotStamp = fileStamp(this.snapshotFile);
+        if (this.snapshotStamp) {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+            this.items = snapshot.items;
+            this.indexItems();
+            this.keys = new Map(snapshot.keys || []);
+            if (this.reactions) this.reactions.load(snapshot.reactions || []);
+            snapshotSeq = snapshot.seq;
+        }
+        this.seq = snapshotSeq;
+
+        if (fs.existsSync(this.logFile)) {
+            this.replayLog(snapshotSeq);
+        }
+
+        this.openLog();
+
+        if (this.seq === 0 && this.items.length === 0 && fs.existsSync(this.legacyFile)) {
+            this.migrateLegacy();
+        }
+
+        return this;
+    }
+
+    replayLog(snapshotSeq) {
+        const buf = fs.readFileSync(this.logFile);
+        const { records, bytes } = parseRecords(buf);
+        for (const record of records) {
+            if (record.seq <= snapshotSeq) continue;
+            this.apply(record);
+            this.seq = record.seq;
+            this.logRecords++;
+        }
+        this.dropTornTail(buf.length, bytes);
+    }
+
+    dropTornTail(size, goodBytes) {
+        if (goodBytes < size) {
+            console.warn(`Store: dropping ${size - goodBytes} bytes of truncated log in ${this.logFile}`);
+            fs.truncateSync(this.logFile, goodBytes);
+        }
+        this.logOffset = goodBytes;
+    }
+
+    // Records other instances added to the log since this store last looked,
+    // oldest first, without applying them. Null if some of them are only in
+    // a snapshot written since, in which case the store has to be reloaded.
+    unseen() {
+        const stamp = fileStamp(this.snapshotFile);
+        if (stamp !== this.snapshotStamp) {
+            // Compacted elsewhere, which emptied the log
+            const snapshot = stamp && JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+            if (!snapshot || snapshot.seq > this.seq) return null;
+            this.snapshotStamp = stamp;
+            this.logOffset = 0;
+        }
+        if (!fs.existsSync(this.logFile)) return [];
+
+        const fd = fs.openSync(this.logFile, 'r');
+        let buf;
+        try {
+            const { size } = fs.fstatSync(fd);
+            if (size < this.logOffset) this.logOffset = 0;
+            buf = Buffer.alloc(size - this.logOffset);
+            fs.readSync(fd, buf, 0, buf.length, this.logOffset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const { records, bytes } = parseRecords(buf);
+        this.dropTornTail(this.logOffset + buf.length, this.logOffset + bytes);
+
+        const missed = records.filter(record => record.seq > this.seq);
+        // Anything not carrying on from our seq went through a snapshot
+        if (missed.some((record, i) => record.seq !== this.seq + i + 1)) return null;
+        return missed;
+    }
+
+    // Forget everything held in memory and load it from disk again
+    reload() {
+        this.close();
+        this.items = [];
+        this.byId.clear();
+        this.keys = new Map();
+        this.recent = [];
+        this.seq = 0;
+        this.logRecords = 0;
+        this.logOffset = 0;
+        this.snapshotStamp = null;
+        if (this.reactions) this.reactions.clear();
+        return this.load();
+    }
+
+    // One-time import of the old canvas_data.json array. The original file is
+    // kept next to the store with a .migrated suffix.
+    migrateLegacy() {
+        const legacy = JSON.parse(fs.readFileSync(this.legacyFile, 'utf8'));
+        if (!Array.isArray(legacy)) {
+            throw new Error(`Store: ${this.legacyFile} is not an array, refusing to migrate`);
+        }
+
+        this.items = legacy;
+        this.indexItems();
+        this.seq = legacy.length;
+        this.writeSnapshot();
+        fs.renameSync(this.legacyFile, `${this.legacyFile}.migrated`);
+        console.log(`Store: migrated ${legacy.length} items from ${path.basename(this.legacyFile)}`);
+    }
+
+    openLog() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.fd = fs.openSync(this.logFile, 'a');
+    }
+
+    indexItems() {
+        this.byId.clear();
+        for (const item of this.items) {
+            if (item.id) this.byId.set(item.id, item);
+        }
+    }
+
+    apply(record) {
+        this.recent.push(record);
+        if (this.recent.length > this.recentLimit) this.recent.shift();
+
+        if (record.op === 'add') {
+            this.items.push(record.item);
+            this.byId.set(record.item.id, record.item);
+            if (record.key) this.rememberKey(record.key, record.item.id);
+        } else if (record.op === 'update') {
+            const item = this.byId.get(record.id);
+            if (item) Object.assign(item, record.patch);
+            if (item && record.reaction && this.reactions) this.reactions.apply(record.id, record.reaction);
+        } else if (record.op === 'delete') {
+            const item = this.byId.get(record.id);
+            if (item) {
+                this.items.splice(this.items.indexOf(item), 1);
+                this.byId.delete(record.id);
+            }
+            if (this.reactions) this.reactions.forget(record.id);
+        }
+    }
+
+    rememberKey(key, id) {
+        this.keys.set(key, id);
+        if (this.keys.size > MAX_KEYS) {
+            this.keys.delete(this.keys.keys().next().value);
+        }
+    }
+
+    write(record) {
+        if (this.fd === null) this.openLog();
+        record.seq = ++this.seq;
+        if (record.op === 'add') record.item.seq = record.seq;
+        const line = JSON.stringify(record) + '\n';
+        const { size } = fs.fstatSync(this.fd);
+        fs.writeSync(this.fd, line);
+        fs.fsyncSync(this.fd);
+        // Otherwise unseen() reads from where it left off and skips this one
+        if (size === this.logOffset) this.logOffset += Buffer.byteLength(line);
+        this.apply(record);
+        this.logRecords++;
+        if (this.onWrite) this.onWrite(record);
+
+        if (this.logRecords >= this.compactEvery) {
+            this.compact();
+        }
+    }
+
+    // A record another instance has already written to the shared log.
+    // Returns false for one this store has seen, e.g. loaded from disk.
+    applyRemote(record) {
+        if (record.seq <= this.seq) return false;
+        this.apply(record);
+        this.seq = record.seq;
+        this.logRecords++;
+        // Its writer compacted the log at the same count
+        if (this.logRecords >= this.compactEvery) this.logRecords = 0;
+        return true;
+    }
+
+    // `key` is an optional idempotency key, see byKey()
+    append(item, key) {
+        if (!item.id) item.id = newItemId();
+        this.write(key ? { op: 'add', item, key } : { op: 'add', item });
+        return item;
+    }
+
+    // Shallow-merge `patch` into the item with this id
+    update(id, patch) {
+        if (!this.byId.has(id)) return null;
+        this.write({ op: 'update', id, patch });
+        return this.byId.get(id);
+    }
+
+    // New reaction counts for the item, and who made which change:
+    // { by, emoji, delta }
+    react(id, reactions, reaction) {
+        if (!this.byId.has(id)) return null;
+        this.write({ op: 'update', id, patch: { reactions }, reaction });
+        return this.byId.get(id);
+    }
+
+    // Returns the removed item, or null if there was none
+    remove(id) {
+        const item = this.byId.get(id);
+        if (!item) return null;
+        this.write({ op: 'delete', id });
+        return item;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    hasKey(key) {
+        return this.keys.has(key);
+    }
+
+    // The item an append with this idempotency key created, if it still exists
+    byKey(key) {
+        const id = this.keys.get(key);
+        return id ? this.get(id) : null;
+    }
+
+    // Records written after `seq`, oldest first, or null if there are more
+    // than `limit` of them or they go back further than the ones kept
+    since(seq, limit) {
+        if (seq >= this.seq) return [];
+        let i = this.recent.length;
+        while (i > 0 && this.recent[i - 1].seq > seq) {
+            if (this.recent.length - i >= limit) return null;
+            i--;
+        }
+        // The record right after `seq` has to be among them
+        const first = this.recent[i];
+        if (!first || first.seq !== seq + 1) return null;
+        return this.recent.slice(i);
+    }
+
+    // Rewrite items in place, e.g. to fill in a field older items lack.
+    // `fn` returns true for items it changed; if any did, the result is
+    // persisted as a fresh snapshot. Returns the number of changed items.
+    backfill(fn) {
+        let changed = 0;
+        for (const item of this.items) {
+            if (fn(item)) changed++;
+        }
+        if (changed) {
+            this.indexItems();
+            this.compact();
+        }
+        return changed;
+    }
+
+    all() {
+        return this.items;
+    }
+
+    query(predicate) {
+        return this.items.filter(predicate);
+    }
+
+    get count() {
+        return this.items.length;
+    }
+
+    writeSnapshot() {
+        const tmp = `${this.snapshotFile}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            const snapshot = { seq: this.seq, items: this.items, keys: Array.from(this.keys) };
+            if (this.reactions) snapshot.reactions = this.reactions.toJSON();
+            fs.writeSync(fd, JSON.stringify(snapshot));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, this.snapshotFile);
+        this.snapshotStamp = fileStamp(this.snapshotFile);
+    }
+
+    compact() {
+        this.writeSnapshot();
+        fs.ftruncateSync(this.fd, 0);
+        fs.fsyncSync(this.fd);
+        this.logRecords = 0;
+        this.logOffset = 0;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = { ItemStore, newItemId, parseRecords };
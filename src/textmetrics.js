@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side text measurement for collision boxes.
+//
+// The client renders each item in one of 12 `font-N` classes picked by
+// hashCode(text) (see public/style.css). data/font-metrics.json holds advance
+// widths for printable ASCII per base face, in 1/1000 em, plus a width scale,
+// ascent and descent for every class. Anything outside ASCII falls back by
+// script: CJK and fullwidth forms take a full em, emoji a bit more, combining
+// marks and joiners nothing, everything else the face's average width.
+
+const METRICS_FILE = path.join(__dirname, '..', 'data', 'font-metrics.json');
+const metrics = JSON.parse(fs.readFileSync(METRICS_FILE, 'utf8'));
+const UNITS = metrics.unitsPerEm;
+
+const fonts = metrics.fonts.map(font => {
+    const table = metrics.tables[font.table];
+    const average = table.reduce((sum, w) => sum + w, 0) / table.length;
+    return { ...font, widths: table, average };
+});
+
+// Same hash the client uses to pick the font class
+function hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = str.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    return hash;
+}
+
+function getFontIndex(text) {
+    return Math.abs(hashCode(text)) % fonts.length;
+}
+
+function isZeroWidth(cp) {
+    return (cp >= 0x0300 && cp <= 0x036f) || // combining diacritics
+        (cp >= 0x200b && cp <= 0x200f) || // zero width space / joiners / marks
+        (cp >= 0xfe00 && cp <= 0xfe0f) || // variation selectors
+        (cp >= 0x1f3fb && cp <= 0x1f3ff) || // emoji skin tone modifiers
+        (cp >= 0xe0020 && cp <= 0xe007f); // emoji tag sequences
+}
+
+function isEmoji(cp) {
+    return (cp >= 0x1f000 && cp <= 0x1faff) ||
+        (cp >= 0x2600 && cp <= 0x27bf) ||
+        (cp >= 0x2b00 && cp <= 0x2bff);
+}
+
+function isWide(cp) {
+    return (cp >= 0x1100 && cp <= 0x115f) || // Hangul Jamo
+        (cp >= 0x2e80 && cp <= 0xa4cf) || // CJK radicals .. Yi
+        (cp >= 0xac00 && cp <= 0xd7a3) || // Hangul syllables
+        (cp >= 0xf900 && cp <= 0xfaff) || // CJK compatibility ideographs
+        (cp >= 0xfe30 && cp <= 0xfe4f) || // CJK compatibility forms
+        (cp >= 0xff00 && cp <= 0xff60) || // fullwidth forms
+        (cp >= 0xffe0 && cp <= 0xffe6) ||
+        (cp >= 0x20000 && cp <= 0x3fffd); // CJK extension planes
+}
+
+// Width of `text` in em for the given font class
+function measureEm(text, fontIndex) {
+    const font = fonts[fontIndex];
+    let units = 0;
+    let afterJoiner = false;
+    let pendingFlag = false;
+
+    for (const ch of text) {
+        const cp = ch.codePointAt(0);
+
+        if (cp === 0x200d) {
+            // The next emoji is drawn into the same glyph
+            afterJoiner = true;
+            continue;
+        }
+        if (isZeroWidth(cp)) continue;
+
+        if (cp >= 0x1f1e6 && cp <= 0x1f1ff) {
+            // Regional indicators pair up into a single flag
+            if (!pendingFlag) units += metrics.wide.emoji;
+            pendingFlag = !pendingFlag;
+            continue;
+        }
+        pendingFlag = false;
+
+        if (afterJoiner) {
+            afterJoiner = false;
+            if (isEmoji(cp)) continue;
+        }
+
+        const index = cp - metrics.firstChar;
+        if (index >= 0 && index < font.widths.length) {
+            units += font.widths[index] * font.scale;
+        } else if (isEmoji(cp)) {
+            units += metrics.wide.emoji;
+        } else if (isWide(cp)) {
+            units += metrics.wide.cjk;
+        } else {
+            units += font.average * font.scale;
+        }
+    }
+
+    return units / UNITS;
+}
+
+// Rendered box of an item's text in px: { width, height, fontIndex }
+function measureText(text, fontSize) {
+    const fontIndex = getFontIndex(text);
+    const font = fonts[fontIndex];
+    return {
+        width: measureEm(text, fontIndex) * fontSize,
+        height: ((font.ascent + font.descent) / UNITS) * fontSize,
+        fontIndex
+    };
+}
+
+// CSS font stack of a font class, matching the font-N rules in style.css
+function getFontFamily(fontIndex) {
+    const font = fonts[fontIndex];
+    return `'${font.family}', ${font.generic}`;
+}
+
+// Stored sizes keep one decimal; finer than that is noise in the metrics
+function roundSize(px) {
+    return Math.round(px * 10) / 10;
+}
+
+module.exports = { measureText, roundSize, measureEm, getFontIndex, getFontFamily, hashCode };
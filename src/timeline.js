@@ -0,0 +1,75 @@
+// Visible items in the order they were placed, for history playback.
+//
+// Items are kept sorted by (timestamp, id) so they can be paged through with
+// a cursor that stays valid while items are added, hidden or removed: the
+// cursor is the "timestamp:id" of the last item handed out, and the next page
+// starts right after it. New items almost always land at the end, so adding
+// is an append in practice.
+
+function compare(a, b) {
+    const ta = a.timestamp || 0;
+    const tb = b.timestamp || 0;
+    if (ta !== tb) return ta - tb;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function cursorOf(item) {
+    return `${item.timestamp || 0}:${item.id}`;
+}
+
+// { timestamp, id } from a cursor string, or null if it is malformed
+function parseCursor(cursor) {
+    const match = /^(\d+):(.+)$/.exec(cursor || '');
+    return match ? { timestamp: Number(match[1]), id: match[2] } : null;
+}
+
+class Timeline {
+    constructor() {
+        this.items = [];
+    }
+
+    // Index of the first item that sorts after `key`
+    indexAfter(key) {
+        let lo = 0;
+        let hi = this.items.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (compare(this.items[mid], key) <= 0) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    add(item) {
+        const last = this.items[this.items.length - 1];
+        if (!last || compare(last, item) < 0) {
+            this.items.push(item);
+        } else {
+            this.items.splice(this.indexAfter(item), 0, item);
+        }
+    }
+
+    remove(item) {
+        const index = this.indexAfter(item) - 1;
+        if (index >= 0 && this.items[index].id === item.id) this.items.splice(index, 1);
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    // Up to `limit` items after `cursor` (from the start when null) that pass
+    // `filter`, plus the cursor for the next page, or null at the end
+    page(cursor, limit, filter) {
+        const key = cursor ? parseCursor(cursor) : null;
+        const items = [];
+        let i = key ? this.indexAfter(key) : 0;
+        for (; i < this.items.length && items.length < limit; i++) {
+            if (!filter || filter(this.items[i])) items.push(this.items[i]);
+        }
+        const next = i < this.items.length && items.length ? cursorOf(items[items.length - 1]) : null;
+        return { items, next };
+    }
+}
+
+module.exports = { Timeline, parseCursor };
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentFilter } = require('../src/filter');
+
+// The config shipped in data/filter.json
+const filter = new ContentFilter(path.join(__dirname, '..', 'data', 'filter.json')).load();
+
+// A throwaway config file, for testing the rules themselves
+function filterFrom(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-test-'));
+    const file = path.join(dir, 'filter.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    const loaded = new ContentFilter(file).load();
+    fs.rmSync(dir, { recursive: true });
+    return loaded;
+}
+
+test('passes innocent text the old regex flagged', () => {
+    const falsePositives = [
+        "I'm on a diet",
+        'what a skill issue',
+        'Scunthorpe United',
+        'roll the dice',
+        'this is hit or miss',
+        'which it was',
+        'shiitake mushrooms',
+        'dietician',
+        'killjoy',
+        'kilometer',
+        'a kilo of rice',
+        'nice kilt',
+        'Kilimanjaro',
+        'kiloton',
+        'kiln',
+        'Fukushima'
+    ];
+    for (const text of falsePositives) {
+        const hit = filter.check(text);
+        assert.strictEqual(hit, null, `"${text}" hit ${hit && hit.rule}`);
+    }
+});
+
+test('blocks the listed words however they are written', () => {
+    const bypasses = [
+        'die',
+        'just DIE',
+        'fuck',
+        'f u c k',
+        'f.u.c.k',
+        'fuuuuck this',
+        'phuck',
+        'fvck',
+        '$h1t',
+        'sh!t',
+        'ѕhіt', // Cyrillic ѕ and і
+        'ｆｕｃｋ', // fullwidth
+        'fúck',
+        'f\u200buck', // zero-width space
+        'motherfucker',
+        'b1tch',
+        'kill urself',
+        'killing',
+        'kiiilll',
+        'k1ll3r',
+        'fukkin hell',
+        'su1c1de'
+    ];
+    for (const text of bypasses) {
+        assert.notStrictEqual(filter.check(text), null, `"${text}" should be blocked`);
+    }
+});
+
+test('reports the rule that fired', () => {
+    assert.deepStrictEqual(filter.check('just DIE'), { rule: 'words:die', type: 'words', value: 'die', match: 'die' });
+    assert.strictEqual(filter.check('killing it').rule, 'prefixes:kill');
+    assert.strictEqual(filter.check('motherfucker').rule, 'substrings:fuck');
+    assert.strictEqual(filter.check('kill your self').rule, 'prefixes:kill');
+});
+
+test('matches patterns against the whole text', () => {
+    const patterns = filterFrom({
+        patterns: [{ name: 'kill-yourself', regex: '\\bki+l+ (your|ur) ?sel+f\\b' }]
+    });
+    assert.strictEqual(patterns.check('kiiill urself').rule, 'patterns:kill-yourself');
+    assert.strictEqual(patterns.check('kill the lights'), null);
+});
+
+test('words only match whole tokens, prefixes the start of one', () => {
+    const rules = filterFrom({ words: ['die'], prefixes: ['kill'] });
+    assert.strictEqual(rules.check('diet'), null);
+    assert.strictEqual(rules.check('skill'), null);
+    assert.strictEqual(rules.check('killer').rule, 'prefixes:kill');
+});
+
+test('letters an entry doubles have to be doubled in the text', () => {
+    const rules = filterFrom({ prefixes: ['kill'], substrings: ['fuck'] });
+    assert.strictEqual(rules.check('kilo'), null);
+    assert.strictEqual(rules.check('kkiiilllz').rule, 'prefixes:kill');
+    assert.strictEqual(rules.check('fuuuucker').rule, 'substrings:fuck');
+});
+
+test('the allowlist wins over every list', () => {
+    const rules = filterFrom({ substrings: ['cunt'], allow: ['scunthorpe'] });
+    assert.strictEqual(rules.check('scunthorpe'), null);
+    assert.strictEqual(rules.check('scunthorpes').rule, 'substrings:cunt');
+});
+
+test('refuses a config that is not valid JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-test-'));
+    const file = path.join(dir, 'filter.json');
+    fs.writeFileSync(file, '{ "words": [');
+    try {
+        assert.throws(() => new ContentFilter(file).load(), SyntaxError);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ItemStore, parseRecords } = require('../src/store');
+
+// Runs fn with a fresh directory, removed afterwards
+function withDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    try {
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+function logLine(record) {
+    return JSON.stringify(record) + '\n';
+}
+
+function texts(store) {
+    return store.all().map(item => item.text);
+}
+
+test('parseRecords stops at a record cut off mid-write', () => {
+    const whole = logLine({ op: 'add', item: { id: 'a' }, seq: 1 }) + logLine({ op: 'delete', id: 'a', seq: 2 });
+
+    const complete = parseRecords(Buffer.from(whole));
+    assert.deepStrictEqual(complete.records.map(r => r.seq), [1, 2]);
+    assert.strictEqual(complete.bytes, Buffer.byteLength(whole));
+
+    // No trailing newline
+    const torn = parseRecords(Buffer.from(whole + '{"op":"add","item":{"id"'));
+    assert.deepStrictEqual(torn.records.map(r => r.seq), [1, 2]);
+    assert.strictEqual(torn.bytes, Buffer.byteLength(whole));
+
+    // A newline, but not JSON
+    const garbled = parseRecords(Buffer.from(whole + '{"op":"ad\n'));
+    assert.strictEqual(garbled.records.length, 2);
+    assert.strictEqual(garbled.bytes, Buffer.byteLength(whole));
+});
+
+test('load drops a torn last record and carries on from the one before', () => withDir(dir => {
+    const store = new ItemStore(dir).load();
+    store.append({ text: 'one' });
+    store.append({ text: 'two' });
+    store.close();
+
+    const logFile = path.join(dir, 'canvas_items.log');
+    const goodSize = fs.statSync(logFile).size;
+    fs.appendFileSync(logFile, '{"op":"add","item":{"text":"thr');
+
+    const reopened = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(reopened), ['one', 'two']);
+    assert.strictEqual(reopened.seq, 2);
+    assert.strictEqual(fs.statSync(logFile).size, goodSize);
+
+    // The next record lands on a clean line
+    reopened.append({ text: 'three' });
+    reopened.close();
+    const again = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(again), ['one', 'two', 'three']);
+    assert.strictEqual(again.seq, 3);
+    again.close();
+}));
+
+test('records a snapshot already holds are not replayed', () => withDir(dir => {
+    const store = new ItemStore(dir).load();
+    const item = store.append({ text: 'one' });
+    store.update(item.id, { hidden: true });
+    store.append({ text: 'two' });
+    // As if the process died after writing the snapshot but before
+    // truncating the log
+    store.writeSnapshot();
+    store.append({ text: 'three' });
+    store.close();
+
+    const reopened = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(reopened), ['one', 'two', 'three']);
+    assert.strictEqual(reopened.seq, 4);
+    assert.strictEqual(reopened.get(item.id).hidden, true);
+    reopened.close();
+}));
+
+test('compaction keeps every item and the seq', () => withDir(dir => {
+    const store = new ItemStore(dir, { compactEvery: 3 }).load();
+    for (const text of ['one', 'two', 'three', 'four']) store.append({ text });
+    store.close();
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'canvas_items.log'), 'utf8').split('\n').filter(Boolean).length, 1);
+    const reopened = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(reopened), ['one', 'two', 'three', 'four']);
+    assert.strictEqual(reopened.seq, 4);
+    reopened.close();
+}));
+
+test('migrates canvas_data.json once', () => withDir(dir => {
+    const legacy = [{ id: 'a', text: 'old one' }, { id: 'b', text: 'old two' }];
+    fs.writeFileSync(path.join(dir, 'canvas_data.json'), JSON.stringify(legacy));
+
+    const store = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(store), ['old one', 'old two']);
+    assert.strictEqual(store.seq, 2);
+    assert.ok(!fs.existsSync(path.join(dir, 'canvas_data.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'canvas_data.json.migrated')));
+    store.append({ text: 'new' });
+    store.close();
+
+    // Later starts read the snapshot and log, not the old file
+    const reopened = new ItemStore(dir).load();
+    assert.deepStrictEqual(texts(reopened), ['old one', 'old two', 'new']);
+    assert.strictEqual(reopened.seq, 3);
+    assert.strictEqual(reopened.get('b').text, 'old two');
+    reopened.close();
+}));
+
+test('refuses to migrate a canvas_data.json that is not an array', () => withDir(dir => {
+    fs.writeFileSync(path.join(dir, 'canvas_data.json'), JSON.stringify({ items: [] }));
+    assert.throws(() => new ItemStore(dir).load(), /not an array/);
+}));